@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Per-source ingestion keys; only a hash of each key is stored
+const apiKeySchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  label: { type: String, default: null },
+  // SHA-256 of the full key
+  keyHash: { type: String, required: true, unique: true },
+  // Start of the key, shown so keys can be told apart
+  prefix: { type: String, required: true },
+  lastUsedAt: { type: Date, default: null },
+  // Set on rotation when the old key is kept working for a grace period
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  // Key this one replaced
+  rotatedFrom: { type: mongoose.Schema.Types.ObjectId, default: null }
+}, { timestamps: true });
+
+apiKeySchema.index({ source: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
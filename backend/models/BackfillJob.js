@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const backfillJobSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  // Optional receivedAt range of the raw events to re-normalize
+  startDate: Date,
+  endDate: Date,
+  // Dry runs record diffs without writing normalized events
+  dryRun: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Mapping version applied when the job was created
+  mappingVersion: { type: Number, default: 0 },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    merged: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  // _id of the last raw event handled; a resumed job continues after it
+  cursor: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // First changes found: [{ rawEventId, normalizedEventId, action, changes, error }]
+  diffs: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  errorMessage: String,
+  // Process running the job, refreshed after every batch
+  workerId: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+backfillJobSchema.index({ status: 1, heartbeatAt: 1 });
+
+module.exports = mongoose.model('BackfillJob', backfillJobSchema);
@@ -7,32 +7,118 @@ const rawEventSchema = new mongoose.Schema({
   receivedAt: { type: Date, default: Date.now },
   status: { 
     type: String, 
-    enum: ['pending', 'processing', 'normalized', 'failed', 'duplicate'],
+    enum: ['pending', 'processing', 'normalized', 'failed', 'duplicate', 'quarantined'],
     default: 'pending'
   },
   errorMessage: String,
-  // Content hash for deduplication
-  contentHash: { type: String, index: true }
+  // Number of processing attempts, including retries
+  attempts: { type: Number, default: 0 },
+  // Transaction reruns after transient Mongo errors, across all attempts
+  transactionRetries: Number,
+  // Error of each failed attempt, oldest first
+  attemptHistory: [{
+    _id: false,
+    at: Date,
+    reason: String,
+    error: String
+  }],
+  // Validation rule violations from the last processing attempt
+  validationIssues: [{
+    _id: false,
+    rule: String,
+    action: String,
+    message: String
+  }],
+  // Content hash for deduplication; unique so concurrent identical submissions
+  // resolve to one raw event
+  contentHash: { type: String, unique: true },
+  // Outcome of the semantic duplicate check, kept for auditing
+  dedupDecision: {
+    strategy: String,
+    fields: [String],
+    windowMinutes: Number,
+    duplicate: Boolean,
+    // Normalized event this one was judged a duplicate of
+    matchedEventId: { type: mongoose.Schema.Types.ObjectId, ref: 'NormalizedEvent' },
+    decidedAt: Date
+  },
+  // Client-supplied Idempotency-Key header, scoped per source
+  idempotencyKey: String,
+  // Hash of source + payload, used to detect a key reused with a different body
+  requestHash: String,
+  // Original response, replayed for repeat requests until idempotencyExpiresAt
+  idempotentResponse: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  idempotencyExpiresAt: Date,
+  // Key of an expired idempotency window; still marks the event as a keyed reading
+  releasedIdempotencyKey: String,
+  // Async processing queue: pending events become claimable at availableAt
+  availableAt: Date,
+  // Request or worker processing the event and when its lease runs out;
+  // only meaningful while status is processing
+  leaseOwner: String,
+  leaseExpiresAt: Date,
+  // Times the event was claimed from the queue
+  queueClaims: { type: Number, default: 0 },
+  // Result of queued processing, returned by the status endpoint
+  processingResult: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
 
 // Index for efficient duplicate detection
 rawEventSchema.index({ contentHash: 1, status: 1 });
+// Index for dead-letter queue replay
+rawEventSchema.index({ status: 1, source: 1, receivedAt: 1 });
+// Only events whose transactions were retried carry the count
+rawEventSchema.index({ transactionRetries: 1 }, { sparse: true });
+// Indexes for claiming queued events and expired leases
+rawEventSchema.index({ status: 1, availableAt: 1 });
+rawEventSchema.index({ status: 1, leaseExpiresAt: 1 });
+// One raw event per idempotency key and source
+rawEventSchema.index(
+  { source: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 const normalizedEventSchema = new mongoose.Schema({
   client_id: { type: String, required: true, index: true },
   metric: String,
   amount: Number,
+  // ISO 4217 code detected in the raw amount, or the source's default currency
+  currency: String,
   timestamp: { type: Date, index: true },
+  // How the raw timestamp was read: { method, format, timezone, timezoneAssumed, ambiguityResolvedBy }
+  timestampInterpretation: mongoose.Schema.Types.Mixed,
+  // Client-defined canonical fields (currency, site, region, tags, ...)
+  attributes: mongoose.Schema.Types.Mixed,
+  // Violations of accept-with-warning rules
+  warnings: [{
+    _id: false,
+    rule: String,
+    message: String
+  }],
+  // Field mapping version that produced this record (0 = built-in defaults)
+  mappingVersion: { type: Number, default: 0 },
+  // Set when a backfill re-normalized this record
+  renormalizedAt: Date,
   // Store original raw event reference
   rawEventId: { type: mongoose.Schema.Types.ObjectId, ref: 'RawEvent', required: true },
   // Deduplication hash
   normalizedHash: { type: String, required: true, unique: true, index: true },
+  // Hash of the source's dedup key fields, matched within a time window
+  dedupKey: String,
   processedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
 // Indexes for efficient querying
 normalizedEventSchema.index({ client_id: 1, timestamp: 1 });
 normalizedEventSchema.index({ normalizedHash: 1 });
+// Time-window duplicate lookups
+normalizedEventSchema.index({ dedupKey: 1, timestamp: 1 });
+// Backfills look up the record produced by each raw event
+normalizedEventSchema.index({ rawEventId: 1 });
+normalizedEventSchema.index({ 'attributes.$**': 1 });
 
 const RawEvent = mongoose.model('RawEvent', rawEventSchema);
 const NormalizedEvent = mongoose.model('NormalizedEvent', normalizedEventSchema);
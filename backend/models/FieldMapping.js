@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const fieldMappingSchema = new mongoose.Schema({
+  clientId: { type: String, required: true, unique: true },
+  // Stored as [[rawFieldPath, canonicalField], ...] since paths may contain dots
+  mappings: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Client-defined canonical fields: [{ name, type, transform }, ...]
+  fields: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // Parsing settings per canonical field: { amount: { locale, ... } }
+  settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Validation rules: [{ type, action, ... }, ...]
+  rules: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // Incremented on every edit, including deletes and rollbacks
+  version: { type: Number, required: true, default: 0 },
+  // Deleted mappings are kept so version numbers keep increasing
+  deleted: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const fieldMappingVersionSchema = new mongoose.Schema({
+  clientId: { type: String, required: true },
+  version: { type: Number, required: true },
+  mappings: { type: mongoose.Schema.Types.Mixed, default: null },
+  fields: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+  rules: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  action: {
+    type: String,
+    enum: ['update', 'delete', 'rollback'],
+    required: true
+  },
+  // Version restored by a rollback
+  rolledBackTo: Number
+}, { timestamps: true });
+
+// One history entry per client version
+fieldMappingVersionSchema.index({ clientId: 1, version: -1 }, { unique: true });
+
+const FieldMapping = mongoose.model('FieldMapping', fieldMappingSchema);
+const FieldMappingVersion = mongoose.model('FieldMappingVersion', fieldMappingVersionSchema);
+
+module.exports = { FieldMapping, FieldMappingVersion };
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Pre-aggregated totals of normalized events per client, metric and UTC hour
+const rollupSchema = new mongoose.Schema({
+  client_id: { type: String, required: true },
+  metric: { type: String, default: null },
+  // Start of the UTC hour; null for events without a timestamp
+  bucket: { type: Date, default: null },
+  count: { type: Number, default: 0 },
+  // Events with a numeric amount; the rest count as 0 or are excluded
+  withAmount: { type: Number, default: 0 },
+  totalAmount: { type: Number, default: 0 },
+  // Over numeric amounts only
+  minAmount: Number,
+  maxAmount: Number,
+  firstTimestamp: Date,
+  lastTimestamp: Date,
+  updatedAt: Date
+});
+
+rollupSchema.index({ client_id: 1, metric: 1, bucket: 1 }, { unique: true });
+rollupSchema.index({ bucket: 1 });
+
+module.exports = mongoose.model('Rollup', rollupSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Per-source rate limit and quota; sources without one use the defaults
+const sourceLimitSchema = new mongoose.Schema({
+  source: { type: String, required: true, unique: true },
+  // { perSecond, burst }; null for the default rate limit
+  rateLimit: { type: mongoose.Schema.Types.Mixed, default: null },
+  // { period: 'day' | 'month', events }; null for no quota
+  quota: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { timestamps: true });
+
+// Token bucket shared by every server instance
+const rateLimitBucketSchema = new mongoose.Schema({
+  source: { type: String, required: true, unique: true },
+  tokens: { type: Number, required: true },
+  // Database clock time the tokens were last topped up
+  refilledAt: { type: Date, required: true },
+  // Whether the last request got a token
+  allowed: { type: Boolean, default: true }
+});
+
+// Events admitted per source and quota period (UTC day or month)
+const quotaUsageSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  period: { type: String, enum: ['day', 'month'], required: true },
+  periodStart: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  // Old periods are removed by the TTL index
+  expiresAt: { type: Date, required: true }
+});
+
+quotaUsageSchema.index({ source: 1, period: 1, periodStart: 1 }, { unique: true });
+quotaUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SourceLimit = mongoose.model('SourceLimit', sourceLimitSchema);
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+const QuotaUsage = mongoose.model('QuotaUsage', quotaUsageSchema);
+
+module.exports = { SourceLimit, RateLimitBucket, QuotaUsage };
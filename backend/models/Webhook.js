@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Event outcomes a subscription can ask for
+const WEBHOOK_STATUSES = ['normalized', 'failed', 'duplicate', 'quarantined'];
+
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  // Signs each payload (HMAC-SHA256); kept in full because signing needs it
+  secret: { type: String, required: true },
+  // Empty for every source
+  sources: { type: [String], default: [] },
+  statuses: { type: [String], enum: WEBHOOK_STATUSES, required: true },
+  description: { type: String, default: null },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+// One attempt of a delivery, newest last
+const deliveryAttemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  statusCode: { type: Number, default: null },
+  error: { type: String, default: null },
+  durationMs: Number
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  type: { type: String, required: true },
+  // JSON body sent to the subscriber
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  attemptLog: { type: [deliveryAttemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: Date.now },
+  leaseOwner: String,
+  leaseExpiresAt: Date,
+  deliveredAt: Date,
+  // Delivery this one was created from by a manual redelivery
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, default: null }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = { Webhook, WebhookDelivery, WEBHOOK_STATUSES };
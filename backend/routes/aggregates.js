@@ -1,94 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { NormalizedEvent } = require('../models/Event');
+const normalizer = require('../services/normalizer');
+const aggregator = require('../services/aggregator');
 
 /**
  * GET /api/aggregates
  * Get aggregated data with filtering support
+ * Groups by `groupBy` or by a list of `dimensions`, in flat or nested rows
+ * `measures` adds distribution statistics such as median, p95 and stddev
+ * `compareTo` adds the values of an earlier period and the change from it
+ * With an interval (hour, day, week, month) every group also gets a time series
  */
 router.get('/', async (req, res) => {
   try {
-    const { client_id, startDate, endDate, groupBy } = req.query;
-
-    // Build query
-    const query = {};
-    if (client_id) {
-      query.client_id = client_id;
-    }
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) {
-        query.timestamp.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.timestamp.$lte = new Date(endDate);
-      }
+    const parsed = aggregator.parseQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
     }
 
-    // Execute aggregation pipeline
-    const pipeline = [
-      { $match: query },
-      {
-        $group: {
-          _id: groupBy === 'client' ? '$client_id' : null,
-          totalAmount: { $sum: { $ifNull: ['$amount', 0] } },
-          averageAmount: { $avg: { $ifNull: ['$amount', 0] } },
-          count: { $sum: 1 },
-          minAmount: { $min: { $ifNull: ['$amount', 0] } },
-          maxAmount: { $max: { $ifNull: ['$amount', 0] } },
-          uniqueMetrics: { $addToSet: '$metric' },
-          dateRange: {
-            $push: '$timestamp'
-          }
-        }
-      },
-      {
-        $project: {
-          _id: 1,
-          totalAmount: { $round: ['$totalAmount', 2] },
-          averageAmount: { $round: ['$averageAmount', 2] },
-          count: 1,
-          minAmount: 1,
-          maxAmount: 1,
-          uniqueMetrics: 1,
-          dateRange: {
-            min: { $min: '$dateRange' },
-            max: { $max: '$dateRange' }
-          }
-        }
-      }
-    ];
-
-    const results = await NormalizedEvent.aggregate(pipeline);
-
-    // Format results
-    const formattedResults = results.map(result => ({
-      group: result._id || 'all',
-      totals: {
-        amount: result.totalAmount,
-        count: result.count
-      },
-      averages: {
-        amount: result.averageAmount
-      },
-      ranges: {
-        amount: {
-          min: result.minAmount,
-          max: result.maxAmount
-        },
-        date: result.dateRange
-      },
-      metrics: result.uniqueMetrics.filter(m => m !== null && m !== '')
-    }));
+    const result = await aggregator.aggregate(parsed.options);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
 
     res.json({
       success: true,
-      data: formattedResults,
-      filters: {
-        client_id: client_id || 'all',
-        startDate: startDate || null,
-        endDate: endDate || null
-      }
+      data: result.data,
+      source: result.source,
+      filters: parsed.filters
     });
   } catch (error) {
     console.error('Error fetching aggregates:', error);
@@ -105,44 +50,25 @@ router.get('/', async (req, res) => {
  */
 router.get('/by-client', async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, attributes, measures, nullAmounts = 'zero' } = req.query;
 
-    const query = {};
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
+    const requested = aggregator.resolveMeasures(measures);
+    const attributeFilter = normalizer.buildAttributeFilter(attributes);
+    const paramError = requested.error || attributeFilter.error || aggregator.validateNullAmounts(nullAmounts);
+    if (paramError) {
+      return res.status(400).json({
+        success: false,
+        error: paramError
+      });
     }
 
-    const pipeline = [
-      { $match: query },
-      {
-        $group: {
-          _id: '$client_id',
-          totalAmount: { $sum: { $ifNull: ['$amount', 0] } },
-          averageAmount: { $avg: { $ifNull: ['$amount', 0] } },
-          count: { $sum: 1 },
-          metrics: { $addToSet: '$metric' }
-        }
-      },
-      {
-        $project: {
-          client_id: '$_id',
-          totalAmount: { $round: ['$totalAmount', 2] },
-          averageAmount: { $round: ['$averageAmount', 2] },
-          count: 1,
-          metrics: 1,
-          _id: 0
-        }
-      },
-      { $sort: { totalAmount: -1 } }
-    ];
-
-    const results = await NormalizedEvent.aggregate(pipeline);
+    const match = aggregator.buildMatch({ startDate, endDate, attributeFilter: attributeFilter.filter });
+    const result = await aggregator.byClient({ match, measures: requested.measures, nullAmounts });
 
     res.json({
       success: true,
-      data: results
+      data: result.data,
+      source: result.source
     });
   } catch (error) {
     console.error('Error fetching client aggregates:', error);
@@ -0,0 +1,159 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const backfill = require('../services/backfill');
+const apiKeys = require('../services/apiKeys');
+
+/**
+ * Reject malformed job IDs before they reach the database
+ */
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid backfill job ID'
+    });
+  }
+  next();
+});
+
+/**
+ * POST /api/backfills
+ * Start re-normalizing a source's raw events with its current mappings
+ */
+router.post('/', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const { source, startDate, endDate, dryRun } = req.body;
+
+    if (!source || typeof source !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: source'
+      });
+    }
+
+    const invalidDate = [startDate, endDate].find(date => date && isNaN(new Date(date).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid date: ${invalidDate}`
+      });
+    }
+
+    const job = await backfill.createJob({ source, startDate, endDate, dryRun: dryRun === true });
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error starting backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backfills
+ * List backfill jobs, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { source, status, limit } = req.query;
+    const jobs = await backfill.list({ source, status, limit });
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching backfills:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backfills/:id
+ * Get a job's progress and recorded diffs
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await backfill.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/backfills/:id/cancel
+ * Stop a pending or running job after its current batch
+ */
+router.post('/:id/cancel', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const job = await backfill.cancel(req.params.id);
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Backfill job is not pending or running'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error cancelling backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/backfills/:id/resume
+ * Continue a failed, cancelled or interrupted job from its last checkpoint
+ */
+router.post('/:id/resume', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const job = await backfill.resume(req.params.id);
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only failed, cancelled or interrupted backfill jobs can be resumed'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error resuming backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
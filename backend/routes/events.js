@@ -1,15 +1,77 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const eventProcessor = require('../services/eventProcessor');
 const { RawEvent, NormalizedEvent } = require('../models/Event');
+const eventProcessor = require('../services/eventProcessor');
+const idempotency = require('../services/idempotency');
+const normalizer = require('../services/normalizer');
+const faultInjector = require('../services/faultInjector');
+const apiKeys = require('../services/apiKeys');
+const rateLimiter = require('../services/rateLimiter');
+
+/**
+ * HTTP status for a processing result
+ */
+function statusCodeFor(result) {
+  // Accepted for asynchronous processing
+  if (result.queued) return 202;
+  if (result.success) return 201;
+  if (result.reason === 'duplicate') return 200;
+  // An identical event is being processed by another request
+  if (result.reason === 'in_progress') return 409;
+  // Transient database errors outlasted the retries; the event is queued to try again
+  if (result.transient) return 503;
+  // Stored for review rather than rejected
+  if (result.reason === 'quarantined') return 202;
+  return 400;
+}
+
+/**
+ * 422 for an Idempotency-Key already used with a different request body
+ */
+function idempotencyConflict(res, eventId) {
+  return res.status(422).json({
+    success: false,
+    reason: 'idempotency_conflict',
+    error: 'Idempotency-Key has already been used with a different request body',
+    eventId
+  });
+}
+
+/**
+ * Results whose events were accepted for ingestion and keep their share of
+ * the quota: normalized, queued, quarantined, or retried after transient errors
+ */
+function acceptedEvents(results) {
+  return results.filter(r => r.success || r.reason === 'quarantined' || r.transient).length;
+}
+
+/**
+ * Events a batch request counts against the source's quota; malformed
+ * batches are rejected by the route and count for nothing
+ */
+function batchEventCount(req) {
+  const { items } = req.body;
+  return Array.isArray(items) && items.length <= eventProcessor.maxBatchSize ? items.length : 0;
+}
 
 /**
  * POST /api/events
  * Ingest a new event from a client
+ * The source comes from the X-API-Key header; a body source must match it.
  */
-router.post('/', async (req, res) => {
+router.post('/', apiKeys.authenticate, rateLimiter.limit(() => 1), async (req, res) => {
   try {
-    const { source, payload, simulateFailure } = req.body;
+    const { payload, faults = [], simulateFailure, async: processAsync } = req.body;
+
+    const resolved = apiKeys.resolveSource(req, req.body.source);
+    if (resolved.error) {
+      return res.status(403).json({
+        success: false,
+        error: resolved.error
+      });
+    }
+    const { source } = resolved;
 
     if (!source || !payload) {
       return res.status(400).json({
@@ -18,17 +80,92 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const result = await eventProcessor.processEvent(
-      { source, payload },
-      simulateFailure === true
-    );
+    // simulateFailure is the older form of faults: ['before_normalized_save'].
+    // Both are ignored unless fault injection is turned on.
+    let requestFaults = [];
+    if (faultInjector.enabled) {
+      requestFaults = simulateFailure === true && Array.isArray(faults)
+        ? [...faults, 'before_normalized_save']
+        : faults;
+      if (!Array.isArray(requestFaults) || !requestFaults.every(point => faultInjector.isPoint(point))) {
+        return res.status(400).json({
+          success: false,
+          error: 'faults must be an array of injection points. See GET /api/faults'
+        });
+      }
+      if (requestFaults.length > 0 && !apiKeys.isAdmin(req)) {
+        return res.status(401).json({
+          success: false,
+          error: `Injecting faults requires the ${apiKeys.adminHeaderName} header`
+        });
+      }
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined) {
+      const keyError = idempotency.validateKey(idempotencyKey);
+      if (keyError) {
+        return res.status(400).json({
+          success: false,
+          error: keyError
+        });
+      }
 
-    if (result.success) {
-      return res.status(201).json(result);
+      const previous = await idempotency.findPrevious(source, idempotencyKey, payload);
+      if (previous && previous.conflict) {
+        return idempotencyConflict(res, previous.eventId);
+      }
+      if (previous && previous.response) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(previous.response.statusCode).json(previous.response.body);
+      }
+    }
+
+    let result;
+    if (processAsync === true) {
+      // Stored as pending and picked up by the worker pool
+      result = await eventProcessor.enqueueEvent({ source, payload, idempotencyKey });
+      if (result.queued) {
+        result.statusUrl = `${req.baseUrl}/${result.eventId}/status`;
+      }
     } else {
-      const statusCode = result.reason === 'duplicate' ? 200 : 400;
-      return res.status(statusCode).json(result);
+      result = await eventProcessor.processEvent(
+        { source, payload, idempotencyKey },
+        { faults: requestFaults }
+      );
+    }
+
+    // A concurrent request with a different body took the key first
+    if (result.reason === 'idempotency_conflict') {
+      return idempotencyConflict(res, result.eventId);
+    }
+
+    const statusCode = statusCodeFor(result);
+    rateLimiter.accept(req, acceptedEvents([result]));
+
+    // Processing errors are rolled back and in-progress answers aren't final,
+    // so a retry with the same key should run again
+    if (idempotencyKey && !['processing_error', 'in_progress'].includes(result.reason)) {
+      try {
+        await idempotency.recordResponse(
+          result.rawEventId || result.eventId,
+          idempotencyKey,
+          statusCode,
+          result
+        );
+      } catch (recordError) {
+        console.error('Failed to record idempotent response:', recordError);
+      }
     }
+
+    if (result.transient) {
+      // The event is also retried in the background, so a client retry is optional
+      res.set('Retry-After', '1');
+    }
+
+    // Simulates losing the response after the work was done
+    await faultInjector.inject('before_response', new Set(requestFaults));
+    return res.status(statusCode).json(result);
   } catch (error) {
     console.error('Event ingestion error:', error);
     return res.status(500).json({
@@ -39,6 +176,267 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/events/batch
+ * Ingest many events at once, returning a result per item
+ */
+router.post('/batch', apiKeys.authenticate, rateLimiter.limit(batchEventCount), async (req, res) => {
+  try {
+    const { atomic } = req.body;
+    let { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: items must be a non-empty array'
+      });
+    }
+
+    if (items.length > eventProcessor.maxBatchSize) {
+      return res.status(400).json({
+        success: false,
+        error: `Batch too large: at most ${eventProcessor.maxBatchSize} items allowed`
+      });
+    }
+
+    if (req.apiKey) {
+      const mismatch = items.findIndex(item => item && apiKeys.resolveSource(req, item.source).error);
+      if (mismatch !== -1) {
+        return res.status(403).json({
+          success: false,
+          error: `Item ${mismatch}: ${apiKeys.resolveSource(req, items[mismatch].source).error}`
+        });
+      }
+      // Every item is written as the key's source
+      items = items.map(item => (item ? { ...item, source: req.apiKey.source } : item));
+    }
+
+    const invalidIndex = items.findIndex(item => !item || !item.source || !item.payload);
+
+    let results;
+    if (atomic === true && invalidIndex !== -1) {
+      // Reject the whole batch up front rather than opening a transaction
+      results = items.map((item, index) => (index === invalidIndex
+        ? {
+          success: false,
+          reason: 'validation_error',
+          message: 'Missing required fields: source and payload'
+        }
+        : {
+          success: false,
+          reason: 'processing_error',
+          message: `Batch rolled back: item ${invalidIndex} failed (validation_error)`,
+          rolledBack: true
+        }));
+    } else {
+      const validItems = items.filter(item => item && item.source && item.payload);
+      const processed = await eventProcessor.processBatch(
+        validItems.map(item => ({ source: item.source, payload: item.payload })),
+        { atomic: atomic === true }
+      );
+
+      results = items.map(item => {
+        if (!item || !item.source || !item.payload) {
+          return {
+            success: false,
+            reason: 'validation_error',
+            message: 'Missing required fields: source and payload'
+          };
+        }
+        return processed.shift();
+      });
+    }
+
+    rateLimiter.accept(req, acceptedEvents(results));
+
+    const summary = {
+      total: results.length,
+      succeeded: results.filter(r => r.success).length,
+      duplicates: results.filter(r => r.reason === 'duplicate').length,
+      quarantined: results.filter(r => r.reason === 'quarantined').length,
+      failed: results.filter(r => !r.success && !['duplicate', 'quarantined'].includes(r.reason)).length
+    };
+
+    return res.status(200).json({
+      success: summary.failed === 0,
+      atomic: atomic === true,
+      summary,
+      results: results.map((result, index) => ({ index, ...result }))
+    });
+  } catch (error) {
+    console.error('Batch ingestion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/retry
+ * Replay failed raw events matching a filter (dead-letter queue replay)
+ */
+router.post('/retry', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const { source, errorMessage, startDate, endDate, limit } = req.body;
+
+    const invalidDate = [startDate, endDate].find(date => date && isNaN(new Date(date).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid date: ${invalidDate}`
+      });
+    }
+
+    const { matched, results } = await eventProcessor.retryFailed(
+      { source, errorMessage, startDate, endDate },
+      { limit }
+    );
+
+    res.json({
+      success: true,
+      summary: {
+        matched,
+        succeeded: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success).length
+      },
+      results
+    });
+  } catch (error) {
+    console.error('Bulk retry error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/:id/retry
+ * Replay a single failed raw event
+ */
+router.post('/:id/retry', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid event ID'
+      });
+    }
+
+    const result = await eventProcessor.retryEvent(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'No failed event with this ID'
+      });
+    }
+
+    return res.status(statusCodeFor(result)).json(result);
+  } catch (error) {
+    console.error('Event retry error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/:id/review
+ * Accept or reject a quarantined raw event
+ */
+router.post('/:id/review', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const { decision } = req.body;
+
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decision must be "accept" or "reject"'
+      });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid event ID'
+      });
+    }
+
+    const result = await eventProcessor.reviewQuarantined(req.params.id, decision);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'No quarantined event with this ID'
+      });
+    }
+
+    return res.status(statusCodeFor(result)).json(result);
+  } catch (error) {
+    console.error('Quarantine review error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/:id/status
+ * Processing status of a raw event, for polling after an asynchronous submission
+ */
+router.get('/:id/status', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid event ID'
+      });
+    }
+
+    const rawEvent = await RawEvent.findById(req.params.id)
+      .select('status attempts errorMessage validationIssues dedupDecision processingResult receivedAt updatedAt')
+      .lean();
+    if (!rawEvent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    const normalizedEvent = rawEvent.status === 'normalized'
+      ? await NormalizedEvent.findOne({ rawEventId: rawEvent._id }).select('_id').lean()
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        eventId: rawEvent._id,
+        status: rawEvent.status,
+        // Pending and processing events are not settled yet; keep polling
+        done: !['pending', 'processing'].includes(rawEvent.status),
+        attempts: rawEvent.attempts,
+        errorMessage: rawEvent.errorMessage,
+        validationIssues: rawEvent.validationIssues,
+        dedupDecision: rawEvent.dedupDecision,
+        normalizedEventId: normalizedEvent ? normalizedEvent._id : undefined,
+        result: rawEvent.processingResult,
+        receivedAt: rawEvent.receivedAt,
+        updatedAt: rawEvent.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching event status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/events/raw
  * Get all raw events with filtering
@@ -81,11 +479,21 @@ router.get('/raw', async (req, res) => {
  */
 router.get('/normalized', async (req, res) => {
   try {
-    const { client_id, limit = 100, skip = 0 } = req.query;
+    const { client_id, attributes, limit = 100, skip = 0 } = req.query;
     
     const query = {};
     if (client_id) query.client_id = client_id;
 
+    // Client-defined fields: ?attributes[region]=EU
+    const attributeFilter = normalizer.buildAttributeFilter(attributes);
+    if (attributeFilter.error) {
+      return res.status(400).json({
+        success: false,
+        error: attributeFilter.error
+      });
+    }
+    Object.assign(query, attributeFilter.filter);
+
     const events = await NormalizedEvent.find(query)
       .sort({ timestamp: -1 })
       .limit(parseInt(limit))
@@ -116,10 +524,14 @@ router.get('/normalized', async (req, res) => {
  */
 router.get('/stats', async (req, res) => {
   try {
-    const stats = await eventProcessor.getStatistics();
+    const [stats, limits] = await Promise.all([
+      eventProcessor.getStatistics(),
+      rateLimiter.usageAll()
+    ]);
     res.json({
       success: true,
-      data: stats
+      // Quota usage of the sources that have a quota
+      data: { ...stats, quotas: limits.filter(limit => limit.quota) }
     });
   } catch (error) {
     console.error('Error fetching statistics:', error);
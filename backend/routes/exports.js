@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { RawEvent, NormalizedEvent } = require('../models/Event');
+const normalizer = require('../services/normalizer');
+const aggregator = require('../services/aggregator');
+const exporter = require('../services/exporter');
+const apiKeys = require('../services/apiKeys');
+
+// Exports include every source's raw payloads
+router.use(apiKeys.requireAdmin);
+
+/**
+ * GET /api/exports/raw
+ * Download raw events as CSV or NDJSON
+ * Filters: status, source (as in GET /api/events/raw)
+ */
+router.get('/raw', async (req, res) => {
+  try {
+    const { status, source } = req.query;
+    const output = exporter.resolveOptions(req.query);
+    if (output.error) {
+      return res.status(400).json({
+        success: false,
+        error: output.error
+      });
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (source) query.source = source;
+
+    // Newest first by _id (creation order), which the _id index serves without an in-memory sort
+    const cursor = RawEvent.find(query)
+      .sort({ _id: -1 })
+      .lean()
+      .cursor({ batchSize: exporter.batchSize });
+
+    await exporter.stream(res, cursor, {
+      format: output.format,
+      columns: columnsFor(output, 'raw'),
+      filename: filenameFor('raw-events')
+    });
+  } catch (error) {
+    console.error('Error exporting raw events:', error);
+    failExport(res, error);
+  }
+});
+
+/**
+ * GET /api/exports/normalized
+ * Download normalized events as CSV or NDJSON
+ * Filters: client_id, attributes (as in GET /api/events/normalized)
+ */
+router.get('/normalized', async (req, res) => {
+  try {
+    const { client_id, attributes } = req.query;
+    const output = exporter.resolveOptions(req.query);
+    const attributeFilter = normalizer.buildAttributeFilter(attributes);
+    const paramError = output.error || attributeFilter.error;
+    if (paramError) {
+      return res.status(400).json({
+        success: false,
+        error: paramError
+      });
+    }
+
+    const query = { ...attributeFilter.filter };
+    if (client_id) query.client_id = client_id;
+
+    const cursor = NormalizedEvent.find(query)
+      .sort({ timestamp: -1 })
+      .lean()
+      .cursor({ batchSize: exporter.batchSize });
+
+    await exporter.stream(res, cursor, {
+      format: output.format,
+      columns: columnsFor(output, 'normalized'),
+      filename: filenameFor('normalized-events')
+    });
+  } catch (error) {
+    console.error('Error exporting normalized events:', error);
+    failExport(res, error);
+  }
+});
+
+/**
+ * GET /api/exports/aggregates
+ * Download aggregate rows as CSV or NDJSON
+ * Accepts every GET /api/aggregates parameter except layout=nested.
+ * With an interval there is one row per group and bucket.
+ */
+router.get('/aggregates', async (req, res) => {
+  try {
+    const output = exporter.resolveOptions(req.query);
+    const parsed = aggregator.parseQuery(req.query);
+    const paramError = output.error || parsed.error ||
+      (parsed.options.ranking.layout === 'nested' ? 'Exports use flat rows; leave out layout=nested' : null);
+    if (paramError) {
+      return res.status(400).json({
+        success: false,
+        error: paramError
+      });
+    }
+
+    const result = await aggregator.aggregate(parsed.options);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const rows = result.data.flatMap(row => {
+      const { series, ...summary } = row;
+      if (!series) return [summary];
+
+      // Label columns (group or dimensions) repeated on each bucket
+      const { totals, averages, ranges, measures, metrics, comparison, deltas, ...label } = summary;
+      return series.map(bucket => ({ ...label, ...bucket }));
+    });
+
+    await exporter.stream(res, rows, {
+      format: output.format,
+      columns: output.columns || exporter.leafPaths(rows),
+      filename: filenameFor('aggregates')
+    });
+  } catch (error) {
+    console.error('Error exporting aggregates:', error);
+    failExport(res, error);
+  }
+});
+
+// CSV needs a header; NDJSON writes whole documents unless columns are chosen
+function columnsFor(output, dataset) {
+  if (output.columns) return output.columns;
+  return output.format === 'csv' ? exporter.defaultColumns(dataset) : null;
+}
+
+function filenameFor(name) {
+  return `${name}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+// Once rows have been sent the status can't change, so the download is cut off
+function failExport(res, error) {
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const apiKeys = require('../services/apiKeys');
+const faultInjector = require('../services/faultInjector');
+
+// Faults break ingestion on purpose: admins only, and only where turned on
+router.use(apiKeys.requireAdmin);
+router.use((req, res, next) => {
+  if (!faultInjector.enabled) {
+    return res.status(503).json({
+      success: false,
+      error: 'Fault injection is disabled: set FAULT_INJECTION_ENABLED=true'
+    });
+  }
+  next();
+});
+
+/**
+ * Reject unknown injection point names
+ */
+router.param('point', (req, res, next, point) => {
+  if (!faultInjector.isPoint(point)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown injection point "${point}"`
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/faults
+ * List injection points with their configuration and counters
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: faultInjector.list()
+  });
+});
+
+/**
+ * PUT /api/faults/:point
+ * Turn on a fault at an injection point
+ */
+router.put('/:point', (req, res) => {
+  const validationError = faultInjector.validateConfig(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  res.json({
+    success: true,
+    data: faultInjector.configure(req.params.point, req.body)
+  });
+});
+
+/**
+ * DELETE /api/faults/:point
+ * Turn off the fault at an injection point
+ */
+router.delete('/:point', (req, res) => {
+  if (!faultInjector.clear(req.params.point)) {
+    return res.status(404).json({
+      success: false,
+      error: `No fault configured at ${req.params.point}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Fault at ${req.params.point} turned off`
+  });
+});
+
+/**
+ * DELETE /api/faults
+ * Turn off every fault
+ */
+router.delete('/', (req, res) => {
+  faultInjector.clearAll();
+  res.json({
+    success: true,
+    message: 'All faults turned off'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const importer = require('../services/importer');
+const apiKeys = require('../services/apiKeys');
+const rateLimiter = require('../services/rateLimiter');
+
+// Largest file accepted per upload
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_BYTES || String(10 * 1024 * 1024), 10);
+
+// Files are parsed in memory; the row limit keeps imports bounded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 }
+});
+
+/**
+ * POST /api/imports/preview
+ * Parse an uploaded CSV file and show how its first rows would be ingested
+ * Form fields: file, source, delimiter, mapping (columns|saved), columnMap, rows
+ * The source comes from the X-API-Key header; a source field must match it.
+ */
+router.post('/preview', apiKeys.authenticate, receiveFile, rateLimiter.limit(), async (req, res) => {
+  try {
+    const prepared = await prepareImport(req);
+    if (prepared.error) {
+      return res.status(prepared.statusCode || 400).json({
+        success: false,
+        error: prepared.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: importer.preview(prepared.parsed, prepared.options, req.body.rows)
+    });
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/imports
+ * Ingest every row of an uploaded CSV file and return an import report
+ * Form fields: file, source, delimiter, mapping (columns|saved), columnMap
+ * The source comes from the X-API-Key header; a source field must match it.
+ */
+router.post('/', apiKeys.authenticate, receiveFile, rateLimiter.limit(), async (req, res) => {
+  try {
+    const prepared = await prepareImport(req);
+    if (prepared.error) {
+      return res.status(prepared.statusCode || 400).json({
+        success: false,
+        error: prepared.error
+      });
+    }
+
+    // Every row is reserved against the quota; files that don't fit are refused whole
+    const { source } = prepared.options;
+    const rowCount = prepared.parsed.rows.length;
+    const quota = await rateLimiter.consumeQuota(source, rowCount);
+    if (!quota.allowed) {
+      return rateLimiter.reject(res, {
+        retryAfter: quota.retryAfter,
+        body: {
+          reason: 'quota_exceeded',
+          error: `Event quota exceeded for ${source}`,
+          quota: quota.quota
+        }
+      });
+    }
+
+    let report;
+    try {
+      report = await importer.run(prepared.parsed, prepared.options);
+    } finally {
+      // Only rows that were accepted keep their share of the quota
+      const accepted = report ? importer.acceptedRows(report) : 0;
+      await rateLimiter.refundQuota(source, quota.quota, rowCount - accepted);
+    }
+
+    res.json({
+      success: report.summary.failed === 0,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error importing file:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Accept one file in the "file" field; upload errors are the client's.
+// Runs before the rate limiter so that the form's source field is available.
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: file'
+      });
+    }
+    next();
+  });
+}
+
+async function prepareImport(req) {
+  // Rows are ingested as the API key's source
+  const resolved = apiKeys.resolveSource(req, req.body.source);
+  if (resolved.error) return { statusCode: 403, error: resolved.error };
+
+  const options = importer.resolveOptions({ ...req.body, source: resolved.source });
+  if (options.error) return options;
+
+  const parsed = await importer.read(req.file.buffer, options);
+  if (parsed.error) return parsed;
+
+  return { options, parsed };
+}
+
+module.exports = router;
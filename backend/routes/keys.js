@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const apiKeys = require('../services/apiKeys');
+
+// Every key management route needs the admin key
+router.use(apiKeys.requireAdmin);
+
+/**
+ * GET /api/keys
+ * List API keys (never the keys themselves), optionally for one source
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeys.list({ source: req.query.source });
+    res.json({
+      success: true,
+      data: keys
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Issue a key for a source. The key is only shown in this response.
+ * Body: { source, label }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { source, label } = req.body;
+    const validationError = apiKeys.validateCreate({ source, label });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { apiKey, key } = await apiKeys.create(source, { label });
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/keys/:id/rotate
+ * Replace a key with a new one for the same source
+ * Body: { graceMinutes } - how long the old key keeps working (default 0)
+ */
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const { graceMinutes } = req.body;
+    const validationError = apiKeys.validateGrace(graceMinutes);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const rotated = await apiKeys.rotate(req.params.id, { graceMinutes });
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: `No key in use with ID ${req.params.id}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...rotated.apiKey, key: rotated.key },
+      previous: rotated.previous
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke a key; requests using it are rejected from now on
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await apiKeys.revoke(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: `No key with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
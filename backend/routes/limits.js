@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const apiKeys = require('../services/apiKeys');
+const rateLimiter = require('../services/rateLimiter');
+
+/**
+ * GET /api/limits/usage
+ * Limits and quota usage of the source of the X-API-Key header
+ */
+router.get('/usage', apiKeys.authenticate, async (req, res) => {
+  try {
+    const source = req.apiKey ? req.apiKey.source : req.query.source;
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: source'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await rateLimiter.usage(source)
+    });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/limits
+ * Every source with its own limits, with current quota usage and the defaults
+ */
+router.get('/', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await rateLimiter.usageAll(),
+      defaults: { rateLimit: rateLimiter.defaultRate.perSecond > 0 ? rateLimiter.defaultRate : null }
+    });
+  } catch (error) {
+    console.error('Error fetching limits:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/limits/:source
+ * A source's limits and current quota usage
+ */
+router.get('/:source', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await rateLimiter.usage(req.params.source)
+    });
+  } catch (error) {
+    console.error('Error fetching limits:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/limits/:source
+ * Set a source's rate limit and quota
+ * Body: { rateLimit: { perSecond, burst } | null, quota: { period: 'day'|'month', events } | null }
+ */
+router.put('/:source', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const { rateLimit, quota } = req.body;
+    const validationError = rateLimiter.validateConfig({ rateLimit, quota });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const stored = await rateLimiter.put(req.params.source, { rateLimit, quota });
+    res.json({
+      success: true,
+      data: stored
+    });
+  } catch (error) {
+    console.error('Error updating limits:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/limits/:source
+ * Remove a source's limits; the default rate limit applies and there is no quota
+ */
+router.delete('/:source', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const removed = await rateLimiter.remove(req.params.source);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `No limits stored for ${req.params.source}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Limits removed for ${req.params.source}`
+    });
+  } catch (error) {
+    console.error('Error removing limits:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
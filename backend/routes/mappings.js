@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const mappingStore = require('../services/mappingStore');
+const normalizer = require('../services/normalizer');
+const validator = require('../services/validator');
+const apiKeys = require('../services/apiKeys');
+
+/**
+ * Reject the reserved "default" mapping set, which is built into the normalizer
+ */
+router.param('clientId', (req, res, next, clientId) => {
+  if (clientId === 'default') {
+    return res.status(400).json({
+      success: false,
+      error: 'The default mappings are built in and cannot be edited'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/mappings
+ * List all stored client mappings
+ */
+router.get('/', async (req, res) => {
+  try {
+    const mappings = await mappingStore.list();
+    res.json({
+      success: true,
+      data: mappings
+    });
+  } catch (error) {
+    console.error('Error fetching mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/mappings/:clientId
+ * Get the current mappings for a client
+ */
+router.get('/:clientId', async (req, res) => {
+  try {
+    const mapping = await mappingStore.get(req.params.clientId);
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: `No mappings stored for client ${req.params.clientId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    console.error('Error fetching mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/mappings/:clientId
+ * Create or replace a client's mappings, custom canonical fields, parsing settings
+ * and validation rules
+ */
+router.put('/:clientId', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const { mappings, fields = [], settings = {}, rules = [] } = req.body;
+
+    const validationError = normalizer.validateCustomFields(fields) ||
+      normalizer.validateFieldMappings(mappings, fields) ||
+      normalizer.validateSettings(settings, normalizer.getCanonicalFieldNames(fields)) ||
+      validator.validateRules(rules, normalizer.getCanonicalFieldNames(fields));
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const declaredFields = fields.map(({ name, type, transform }) => (
+      transform ? { name, type, transform } : { name, type }
+    ));
+    const mapping = await mappingStore.put(req.params.clientId, {
+      mappings,
+      fields: declaredFields,
+      settings,
+      rules
+    });
+    res.json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    console.error('Error saving mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/mappings/:clientId
+ * Delete a client's mappings so it falls back to the defaults
+ */
+router.delete('/:clientId', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const mapping = await mappingStore.remove(req.params.clientId);
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: `No mappings stored for client ${req.params.clientId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    console.error('Error deleting mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/mappings/:clientId/history
+ * Get the version history of a client's mappings
+ */
+router.get('/:clientId/history', async (req, res) => {
+  try {
+    const versions = await mappingStore.history(req.params.clientId);
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error fetching mapping history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/mappings/:clientId/rollback
+ * Restore an earlier version of a client's mappings
+ */
+router.post('/:clientId/rollback', apiKeys.requireAdmin, async (req, res) => {
+  try {
+    const version = parseInt(req.body.version);
+    if (isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: version'
+      });
+    }
+
+    const mapping = await mappingStore.rollback(req.params.clientId, version);
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${version} not found for client ${req.params.clientId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    console.error('Error rolling back mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const apiKeys = require('../services/apiKeys');
+const webhooks = require('../services/webhooks');
+
+// Subscriptions carry signing secrets, so every route needs the admin key
+router.use(apiKeys.requireAdmin);
+
+/**
+ * GET /api/webhooks
+ * List subscriptions
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await webhooks.list()
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to event outcomes. The signing secret is only shown in this response.
+ * Body: { url, statuses, sources, description, active, secret }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validationError = webhooks.validateConfig(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await webhooks.create(req.body)
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * A delivery with its payload and attempt log
+ */
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await webhooks.getDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: `No delivery with ID ${req.params.deliveryId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error fetching delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivery's payload again
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await webhooks.redeliver(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: `No delivery with ID ${req.params.deliveryId}`
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await webhooks.get(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: `No webhook with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Change a subscription's url, statuses, sources, description, active flag or secret
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const validationError = webhooks.validateConfig(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const webhook = await webhooks.update(req.params.id, req.body);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: `No webhook with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a subscription
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await webhooks.remove(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: `No webhook with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Webhook ${req.params.id} removed`
+    });
+  } catch (error) {
+    console.error('Error removing webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * A subscription's delivery log, newest first
+ * Query: status (pending|delivering|succeeded|failed), limit (default 50)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const webhook = await webhooks.get(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: `No webhook with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await webhooks.deliveries(webhook._id, req.query)
+    });
+  } catch (error) {
+    console.error('Error fetching deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { RawEvent } = require('../models/Event');
+
+// Replace the non-unique contentHash index of older databases with the
+// unique one that deduplication relies on
+// Usage: npm run migrate:content-hash
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/data-processing';
+
+// Preferred survivor when several raw events share a content hash
+const STATUS_RANK = ['normalized', 'processing', 'pending', 'quarantined', 'failed', 'duplicate'];
+
+async function migrate() {
+  const collection = RawEvent.collection;
+  const indexes = await collection.indexes().catch(error => {
+    // A database without raw events has no collection yet
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+
+  const existing = indexes.find(index => index.name === 'contentHash_1');
+  if (existing && existing.unique) {
+    console.log('contentHash index is already unique');
+    return;
+  }
+
+  // Events that raced past the old index share a hash; keep one per hash
+  // and give the others a hash of their own so the unique index can be built
+  const groups = await RawEvent.aggregate([
+    { $match: { contentHash: { $type: 'string' } } },
+    { $group: { _id: '$contentHash', events: { $push: { _id: '$_id', status: '$status' } }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).allowDiskUse(true);
+
+  for (const group of groups) {
+    const [kept, ...others] = group.events.sort((a, b) =>
+      STATUS_RANK.indexOf(a.status) - STATUS_RANK.indexOf(b.status) || a._id.getTimestamp() - b._id.getTimestamp());
+    for (const event of others) {
+      await RawEvent.updateOne({ _id: event._id }, { $set: { contentHash: `${group._id}:${event._id}` } });
+    }
+    console.log(`Kept raw event ${kept._id} for hash ${group._id}; rehashed ${others.map(event => event._id).join(', ')}`);
+  }
+
+  if (existing) {
+    await collection.dropIndex('contentHash_1');
+    console.log('Dropped non-unique contentHash index');
+  }
+  await collection.createIndex({ contentHash: 1 }, { unique: true, name: 'contentHash_1' });
+  console.log('Created unique contentHash index');
+}
+
+mongoose.connect(MONGODB_URI, { autoIndex: false })
+  .then(migrate)
+  .catch(err => {
+    console.error('contentHash index migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
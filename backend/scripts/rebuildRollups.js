@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const rollups = require('../services/rollups');
+
+// Recompute the aggregate rollups from the normalized events
+// Usage: npm run rollups:rebuild
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/data-processing';
+
+mongoose.connect(MONGODB_URI)
+  .then(async () => {
+    console.log('Rebuilding rollups...');
+    const result = await rollups.rebuild();
+    console.log(`Wrote ${result.rollups} rollups, removed ${result.removed} stale ones and rechecked ${result.refreshed} updated during the rebuild in ${result.durationMs}ms`);
+  })
+  .catch(err => {
+    console.error('Rollup rebuild failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -2,12 +2,25 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const mappingStore = require('./services/mappingStore');
+const backfill = require('./services/backfill');
+const jobQueue = require('./services/jobQueue');
+const aggregator = require('./services/aggregator');
+const eventProcessor = require('./services/eventProcessor');
+const webhooks = require('./services/webhooks');
 
 const app = express();
 
+// Browsers may only call the API from these origins (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: CORS_ORIGINS }));
+// Batch ingestion bodies can be larger than express's 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
 
 // MongoDB Connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/data-processing';
@@ -15,12 +28,52 @@ mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(async () => {
+  console.log('MongoDB connected successfully');
+
+  // Deduplication depends on the unique contentHash index; refuse to run without it
+  const indexProblem = await eventProcessor.checkIndexes();
+  if (indexProblem) {
+    console.error(indexProblem);
+    process.exit(1);
+  }
+
+  // Load persisted client field mappings and keep them in sync
+  const count = await mappingStore.loadAll();
+  console.log(`Loaded ${count} client field mappings`);
+  mappingStore.startWatching();
+
+  // Pick up backfill jobs interrupted by a restart
+  const resumed = await backfill.resumeInterrupted();
+  if (resumed > 0) console.log(`Resumed ${resumed} backfill jobs`);
+
+  // Process events submitted asynchronously
+  jobQueue.start();
+
+  // Build the aggregate rollups if this deployment has none yet; runs in the
+  // background, aggregates scan the normalized events until it finishes
+  aggregator.prepareRollups()
+    .then(result => {
+      if (result) console.log(`Built ${result.rollups} rollups in ${result.durationMs}ms`);
+    })
+    .catch(err => console.error('Rollup build failed; aggregates will scan the normalized events:', err));
+
+  // Send queued webhook deliveries
+  webhooks.start();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/events', require('./routes/events'));
 app.use('/api/aggregates', require('./routes/aggregates'));
+app.use('/api/mappings', require('./routes/mappings'));
+app.use('/api/backfills', require('./routes/backfills'));
+app.use('/api/faults', require('./routes/faults'));
+app.use('/api/exports', require('./routes/exports'));
+app.use('/api/imports', require('./routes/imports'));
+app.use('/api/keys', require('./routes/keys'));
+app.use('/api/limits', require('./routes/limits'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 
 // Health check
 app.get('/health', (req, res) => {
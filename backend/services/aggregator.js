@@ -0,0 +1,982 @@
+const { NormalizedEvent } = require('../models/Event');
+const Rollup = require('../models/Rollup');
+const normalizer = require('./normalizer');
+const timeBuckets = require('./timeBuckets');
+const timestampParser = require('./timestampParser');
+const rollups = require('./rollups');
+
+// Top-level fields that can be used as dimensions; other names are client-defined attributes
+const TOP_LEVEL_DIMENSIONS = ['client_id', 'metric', 'currency'];
+
+const ATTRIBUTE_NAME = /^(?:attributes\.)?([A-Za-z_][A-Za-z0-9_]*)$/;
+
+// Measures rows can be sorted by, read from a formatted row
+const SORT_MEASURES = {
+  total: row => row.totals.amount,
+  count: row => row.totals.count,
+  average: row => row.averages.amount,
+  min: row => row.ranges.amount.min,
+  max: row => row.ranges.amount.max
+};
+
+const LAYOUTS = ['flat', 'nested'];
+
+// Periods a query can be compared with
+const COMPARE_MODES = ['previous', 'lastYear', 'custom'];
+
+// Group keys the rollups keep apart
+const ROLLUP_GROUP_KEYS = ['$client_id', '$metric'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How events without an amount count: as 0 (the default) or not at all
+const NULL_AMOUNT_MODES = ['zero', 'exclude'];
+
+// Distribution measures; "p<n>" is any percentile and "distinct:<field>" a distinct count
+const NAMED_MEASURES = ['median', 'stddev', 'variance'];
+const PERCENTILE_MEASURE = /^p(\d{1,2}(?:\.\d+)?)$/;
+
+/**
+ * Aggregation Service
+ * Builds and runs the aggregate pipelines over normalized events
+ */
+class Aggregator {
+  constructor() {
+    // Set AGGREGATES_FROM_ROLLUPS=false to always scan the normalized events
+    this.fromRollups = process.env.AGGREGATES_FROM_ROLLUPS !== 'false';
+    // Rollups are only read once prepareRollups has made sure they are built
+    this.rollupsReady = false;
+  }
+
+  /**
+   * Build the rollups on startup if the deployment has events but no rollups
+   * yet, then start answering aggregates from them. Until then, and if the
+   * build fails, aggregates scan the normalized events.
+   */
+  async prepareRollups() {
+    if (!this.fromRollups) return null;
+    const result = await rollups.rebuildIfEmpty();
+    this.rollupsReady = true;
+    return result;
+  }
+
+  /**
+   * Resolve the groupBy parameter to a $group key
+   * Accepts "client" or "attributes.<name>" for a client-defined field
+   * @returns {Object} { key, unwind } or { error }
+   */
+  resolveGroupBy(groupBy) {
+    if (!groupBy) return { key: null };
+    if (groupBy === 'client') return { key: '$client_id' };
+
+    const match = /^attributes\.([A-Za-z_][A-Za-z0-9_]*)$/.exec(groupBy);
+    if (!match) {
+      return { error: 'groupBy must be "client" or "attributes.<field>"' };
+    }
+
+    // Tags are grouped per tag rather than per tag list
+    const path = `$attributes.${match[1]}`;
+    return {
+      key: path,
+      unwind: normalizer.getFieldType(match[1]) === 'tags' ? path : null
+    };
+  }
+
+  /**
+   * Resolve a list of dimensions to a compound $group key
+   * Accepts client_id, metric, currency and client-defined fields
+   * (bare or as "attributes.<name>")
+   * @param {string|Array} dimensions - Array or comma-separated list
+   * @returns {Object} { key, unwind, dimensions } or { error }
+   */
+  resolveDimensions(dimensions) {
+    const names = (Array.isArray(dimensions) ? dimensions : String(dimensions).split(','))
+      .map(name => String(name).trim())
+      .filter(Boolean);
+    if (names.length === 0) {
+      return { error: 'dimensions must list at least one field' };
+    }
+
+    const key = {};
+    const unwind = [];
+    for (const name of names) {
+      let field = name;
+      let path = `$${name}`;
+      if (!TOP_LEVEL_DIMENSIONS.includes(name)) {
+        const match = ATTRIBUTE_NAME.exec(name);
+        if (!match || normalizer.getCanonicalFieldNames().includes(match[1])) {
+          return {
+            error: `Unknown dimension "${name}". Use ${TOP_LEVEL_DIMENSIONS.join(', ')} or a client-defined field`
+          };
+        }
+        field = match[1];
+        path = `$attributes.${field}`;
+        if (normalizer.getFieldType(field) === 'tags') unwind.push(path);
+      }
+      if (Object.prototype.hasOwnProperty.call(key, field)) {
+        return { error: `Dimension "${field}" is listed more than once` };
+      }
+      key[field] = path;
+    }
+
+    return { key, unwind, dimensions: Object.keys(key) };
+  }
+
+  /**
+   * Resolve the measures parameter
+   * Accepts median, p<n> (such as p90, p99.9), stddev, variance and distinct:<dimension>
+   * @param {string|Array} measures - Array or comma-separated list
+   * @returns {Object} { measures } or { error }
+   */
+  resolveMeasures(measures) {
+    if (measures === undefined) return { measures: [] };
+
+    const names = (Array.isArray(measures) ? measures : String(measures).split(','))
+      .map(name => String(name).trim())
+      .filter(Boolean);
+
+    const resolved = [];
+    for (const name of names) {
+      if (resolved.some(measure => measure.name === name)) {
+        return { error: `Measure "${name}" is listed more than once` };
+      }
+
+      const percentile = PERCENTILE_MEASURE.exec(name);
+      if (NAMED_MEASURES.includes(name)) {
+        resolved.push({ name, kind: name });
+      } else if (percentile && Number(percentile[1]) > 0) {
+        resolved.push({ name, kind: 'percentile', p: Number(percentile[1]) / 100 });
+      } else if (name.startsWith('distinct:')) {
+        const dimension = this.resolveDimensions(name.slice('distinct:'.length));
+        if (dimension.error || dimension.dimensions.length !== 1) {
+          return { error: `Can't count distinct values of "${name.slice('distinct:'.length)}"` };
+        }
+        resolved.push({ name, kind: 'distinct', path: Object.values(dimension.key)[0] });
+      } else {
+        return {
+          error: `Unknown measure "${name}". Use median, p<n> (such as p95), stddev, variance or distinct:<field>`
+        };
+      }
+    }
+
+    return { measures: resolved };
+  }
+
+  /**
+   * Validate how events without an amount are counted
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateNullAmounts(nullAmounts) {
+    if (!NULL_AMOUNT_MODES.includes(nullAmounts)) {
+      return `nullAmounts must be one of: ${NULL_AMOUNT_MODES.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve sort, order, limit and layout
+   * A limit without a sort ranks by total amount. Besides the built-in
+   * measures, rows can be sorted by any requested distribution measure.
+   * @returns {Object} { sort, order, limit, layout } or { error }
+   */
+  resolveRanking({ sort, order = 'desc', limit, layout = 'flat' }, measures = []) {
+    if (sort !== undefined && !SORT_MEASURES[sort] && !measures.some(measure => measure.name === sort)) {
+      return {
+        error: `sort must be one of: ${[...Object.keys(SORT_MEASURES), ...measures.map(measure => measure.name)].join(', ')}`
+      };
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return { error: 'order must be "asc" or "desc"' };
+    }
+    let top = null;
+    if (limit !== undefined) {
+      top = Number(limit);
+      if (!Number.isInteger(top) || top < 1) {
+        return { error: 'limit must be a positive integer' };
+      }
+    }
+    if (!LAYOUTS.includes(layout)) {
+      return { error: `layout must be one of: ${LAYOUTS.join(', ')}` };
+    }
+
+    return {
+      sort: sort || (top ? 'total' : null),
+      order,
+      limit: top,
+      layout
+    };
+  }
+
+  /**
+   * Resolve the period to compare with
+   * - previous: the period just before. A range of whole calendar months
+   *   compares with as many months before it, any other range with the
+   *   same duration before it.
+   * - lastYear: the same dates one year earlier
+   * - custom: compareStartDate to compareEndDate
+   * Month boundaries follow the timezone.
+   * @returns {Object|null} { mode, startDate, endDate }, null without compareTo, or { error }
+   */
+  resolveComparison({ compareTo, compareStartDate, compareEndDate, startDate, endDate, timezone = 'UTC' }) {
+    if (compareTo === undefined) return null;
+    if (!COMPARE_MODES.includes(compareTo)) {
+      return { error: `compareTo must be one of: ${COMPARE_MODES.join(', ')}` };
+    }
+
+    if (compareTo === 'custom') {
+      if (!compareStartDate || !compareEndDate) {
+        return { error: 'compareTo=custom needs compareStartDate and compareEndDate' };
+      }
+      const range = { mode: compareTo, startDate: new Date(compareStartDate), endDate: new Date(compareEndDate) };
+      if (isNaN(range.startDate.getTime()) || isNaN(range.endDate.getTime())) {
+        return { error: 'compareStartDate and compareEndDate must be valid dates' };
+      }
+      return range;
+    }
+
+    if (!startDate || !endDate) {
+      return { error: `compareTo=${compareTo} needs startDate and endDate` };
+    }
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      return { error: 'startDate and endDate must be valid dates, with startDate first' };
+    }
+
+    // Midnight after the last day in range; a month start when the range ends with a month
+    const dayAfterEnd = timeBuckets.next(timeBuckets.floor(end, 'day', timezone), 'day', timezone);
+    const endsWithMonth = timeBuckets.floor(dayAfterEnd, 'month', timezone).getTime() === dayAfterEnd.getTime();
+    const startsWithMonth = timeBuckets.floor(start, 'month', timezone).getTime() === start.getTime();
+
+    let months = 12;
+    if (compareTo === 'previous') {
+      if (!startsWithMonth || !endsWithMonth) {
+        return {
+          mode: compareTo,
+          startDate: new Date(start.getTime() - (end.getTime() - start.getTime())),
+          endDate: new Date(start.getTime() - 1)
+        };
+      }
+      months = timeBuckets.monthsBetween(start, dayAfterEnd, timezone);
+    }
+
+    // Ranges ending with a month end with the earlier month too (29 February to 28 February)
+    const shiftedEnd = endsWithMonth
+      ? new Date(timeBuckets.shiftMonths(dayAfterEnd, -months, timezone).getTime() + (end.getTime() - dayAfterEnd.getTime()))
+      : timeBuckets.shiftMonths(end, -months, timezone);
+    return {
+      mode: compareTo,
+      startDate: timeBuckets.shiftMonths(start, -months, timezone),
+      endDate: shiftedEnd
+    };
+  }
+
+  /**
+   * Read and validate the query parameters of GET /api/aggregates
+   * @returns {Object} { options, filters } or { error }; options are for aggregate()
+   */
+  parseQuery(query) {
+    const {
+      client_id, startDate, endDate, groupBy, dimensions, attributes, interval, timezone = 'UTC',
+      sort, order, limit, layout, measures, nullAmounts = 'zero',
+      compareTo, compareStartDate, compareEndDate
+    } = query;
+
+    if (groupBy !== undefined && dimensions !== undefined) {
+      return { error: 'Use either groupBy or dimensions, not both' };
+    }
+
+    const group = dimensions !== undefined
+      ? this.resolveDimensions(dimensions)
+      : this.resolveGroupBy(groupBy);
+    const requested = this.resolveMeasures(measures);
+    const ranking = this.resolveRanking({ sort, order, limit, layout }, requested.measures);
+    const attributeFilter = normalizer.buildAttributeFilter(attributes);
+    // The timezone also sets the month boundaries of comparison periods
+    const timezoneError = (interval !== undefined || compareTo !== undefined) &&
+      !timestampParser.isValidTimezone(timezone) ? `Unknown timezone "${timezone}"` : null;
+    const comparison = timezoneError ? null : this.resolveComparison({
+      compareTo, compareStartDate, compareEndDate, startDate, endDate, timezone
+    });
+    const error = group.error || requested.error || ranking.error || attributeFilter.error ||
+      this.validateNullAmounts(nullAmounts) || timezoneError ||
+      (interval !== undefined ? timeBuckets.validate(interval, timezone) : null) ||
+      (comparison && comparison.error);
+    if (error) return { error };
+
+    const options = {
+      match: this.buildMatch({ client_id, startDate, endDate, attributeFilter: attributeFilter.filter }),
+      group,
+      ranking,
+      measures: requested.measures,
+      nullAmounts,
+      interval,
+      timezone,
+      startDate,
+      endDate,
+      comparison
+    };
+
+    const filters = {
+      client_id: client_id || 'all',
+      startDate: startDate || null,
+      endDate: endDate || null,
+      attributes: attributes || null,
+      nullAmounts
+    };
+    if (requested.measures.length > 0) {
+      filters.measures = requested.measures.map(measure => measure.name);
+    }
+    if (group.dimensions) {
+      filters.dimensions = group.dimensions;
+      filters.layout = ranking.layout;
+    }
+    if (interval) {
+      filters.interval = interval;
+      filters.timezone = timezone;
+    }
+    if (comparison) {
+      filters.compareTo = comparison;
+    }
+    if (ranking.sort) {
+      filters.sort = ranking.sort;
+      filters.order = ranking.order;
+      filters.limit = ranking.limit;
+    }
+
+    return { options, filters };
+  }
+
+  /**
+   * Build the $match filter for an aggregate query
+   * @param {Object} filters - { client_id, startDate, endDate, attributeFilter }
+   */
+  buildMatch(filters) {
+    const query = { ...filters.attributeFilter };
+    if (filters.client_id) {
+      query.client_id = filters.client_id;
+    }
+    if (filters.startDate || filters.endDate) {
+      query.timestamp = {};
+      if (filters.startDate) query.timestamp.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.timestamp.$lte = new Date(filters.endDate);
+    }
+    return query;
+  }
+
+  /**
+   * Aggregate per group, with an optional time series per group
+   * @param {Object} options - { match, group, ranking, measures, nullAmounts,
+   *   interval, timezone, startDate, endDate, comparison }
+   * @returns {Object} { data, source } or { error }
+   */
+  async aggregate(options) {
+    const { group } = options;
+    const ranking = options.ranking || {};
+    const fromRollups = this._canUseRollups(options);
+
+    const [summaries, series, compared] = await Promise.all([
+      fromRollups
+        ? Rollup.aggregate(this._rollupPipeline(options, group.key))
+        : NormalizedEvent.aggregate(this._summaryPipeline(options)),
+      options.interval ? this._timeSeries(options, fromRollups) : null,
+      options.comparison ? this._comparisonRows(options) : null
+    ]);
+    if (series && series.error) return series;
+
+    // Groups with events only in the comparison period get a row with empty
+    // current values, so that a drop to zero shows up
+    const current = new Set(summaries.map(result => JSON.stringify(result._id ?? null)));
+    const comparedOnly = compared
+      ? [...compared.values()].filter(row => !current.has(row.key)).map(row => this._emptySummary(row.groupId))
+      : [];
+
+    const data = [...summaries, ...comparedOnly].map(result => {
+      const formatted = this._formatSummary(result, options);
+      if (series) {
+        formatted.series = series.forGroup(result._id);
+      }
+      if (compared) {
+        const previous = compared.get(JSON.stringify(result._id ?? null));
+        formatted.comparison = previous ? previous.comparison : this._emptyComparison(options);
+        formatted.deltas = this._deltas(formatted, formatted.comparison);
+      }
+      return formatted;
+    });
+
+    const source = fromRollups ? 'rollups' : 'events';
+    if (group.dimensions && ranking.layout === 'nested') {
+      return { data: this._nest(data, group.dimensions, ranking), source };
+    }
+    const labelOther = group.dimensions
+      ? combined => ({ dimensions: null, ...combined })
+      : combined => ({ group: 'other', ...combined });
+    return { data: this._rank(data, ranking, labelOther), source };
+  }
+
+  /**
+   * Totals per client, sorted by total amount
+   * @param {Object} options - { match, measures, nullAmounts }
+   * @returns {Object} { data, source }
+   */
+  async byClient(options) {
+    const measures = options.measures || [];
+    const group = { key: '$client_id' };
+    const fromRollups = this._canUseRollups({ ...options, group });
+    const pipeline = fromRollups
+      ? this._rollupPipeline(options, group.key)
+      : [
+        { $match: options.match },
+        {
+          $group: {
+            _id: group.key,
+            ...this._accumulators(options),
+            uniqueMetrics: { $addToSet: '$metric' }
+          }
+        }
+      ];
+    const results = await (fromRollups ? Rollup : NormalizedEvent)
+      .aggregate([...pipeline, { $sort: { totalAmount: -1 } }]);
+
+    const data = results.map(result => {
+      const row = {
+        client_id: result._id,
+        totalAmount: this._round(result.totalAmount),
+        averageAmount: this._round(result.averageAmount),
+        count: result.count,
+        metrics: result.uniqueMetrics
+      };
+      if (options.nullAmounts === 'exclude') row.withAmount = result.amountCount;
+      if (measures.length > 0) row.measures = this._formatMeasures(result, measures);
+      return row;
+    });
+    return { data, source: fromRollups ? 'rollups' : 'events' };
+  }
+
+  /**
+   * Whether a query can be answered from the hourly rollups: no attribute
+   * filters or distribution measures, groups of client and metric only, and
+   * time series buckets that start on a UTC hour
+   */
+  _canUseRollups(options) {
+    if (!this.fromRollups || !this.rollupsReady) return false;
+
+    const { match, group, measures, interval, timezone } = options;
+    if (Object.keys(match).some(key => key !== 'client_id' && key !== 'timestamp')) return false;
+    if (measures && measures.length > 0) return false;
+
+    const keys = group.key === null || group.key === undefined
+      ? []
+      : (typeof group.key === 'string' ? [group.key] : Object.values(group.key));
+    if (keys.some(key => !ROLLUP_GROUP_KEYS.includes(key))) return false;
+
+    return !interval || this._hasWholeHourOffsets(timezone, match.timestamp || {});
+  }
+
+  // Samples the query bounds, now, and both halves of this year to catch DST
+  _hasWholeHourOffsets(timezone, range) {
+    const year = new Date().getUTCFullYear();
+    const samples = [range.$gte, range.$lte, new Date(), new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 6, 1))];
+    return samples
+      .filter(Boolean)
+      .every(date => timestampParser.getZoneOffset(date.getTime(), timezone) % HOUR_MS === 0);
+  }
+
+  /**
+   * Aggregate over the rollups with the same output as the event pipelines.
+   * Whole hours inside the date range come from the rollups; the partial
+   * hours at either end are read from the normalized events.
+   * @param {*} groupId - $group key over rollup fields
+   * @param {boolean} series - Leave out events without a timestamp
+   */
+  _rollupPipeline(options, groupId, series = false) {
+    const { match } = options;
+    const range = match.timestamp || {};
+    const start = range.$gte || null;
+    const end = range.$lte || null;
+    const firstHour = start ? rollups.bucketOf(new Date(start.getTime() + HOUR_MS - 1)) : null;
+    const afterLastHour = end ? rollups.bucketOf(new Date(end.getTime() + 1)) : null;
+
+    const rollupMatch = {};
+    if (match.client_id) rollupMatch.client_id = match.client_id;
+    const edges = [];
+    if (firstHour && afterLastHour && firstHour >= afterLastHour) {
+      // No whole hour in range
+      rollupMatch.bucket = { $in: [] };
+      edges.push({ $gte: start, $lte: end });
+    } else {
+      const bucket = series ? { $type: 'date' } : {};
+      if (firstHour) {
+        bucket.$gte = firstHour;
+        if (start < firstHour) edges.push({ $gte: start, $lt: firstHour });
+      }
+      if (afterLastHour) {
+        bucket.$lt = afterLastHour;
+        if (afterLastHour <= end) edges.push({ $gte: afterLastHour, $lte: end });
+      }
+      if (Object.keys(bucket).length > 0) rollupMatch.bucket = bucket;
+    }
+
+    const pipeline = [{ $match: rollupMatch }];
+    if (edges.length > 0) {
+      const edgeMatch = { $or: edges.map(timestamp => ({ timestamp })) };
+      if (match.client_id) edgeMatch.client_id = match.client_id;
+      pipeline.push({
+        $unionWith: {
+          coll: NormalizedEvent.collection.name,
+          pipeline: [
+            { $match: edgeMatch },
+            {
+              $project: {
+                _id: 0,
+                client_id: 1,
+                metric: { $ifNull: ['$metric', null] },
+                bucket: { $dateTrunc: { date: '$timestamp', unit: 'hour' } },
+                count: { $literal: 1 },
+                withAmount: { $cond: [{ $isNumber: '$amount' }, 1, 0] },
+                totalAmount: { $ifNull: ['$amount', 0] },
+                minAmount: '$amount',
+                maxAmount: '$amount',
+                firstTimestamp: '$timestamp',
+                lastTimestamp: '$timestamp'
+              }
+            }
+          ]
+        }
+      });
+    }
+
+    // Rollups keep numeric amounts apart, so both null-amount modes can be derived
+    const countedAmounts = options.nullAmounts === 'exclude' ? '$amountCount' : '$count';
+    const withNulls = { $gt: ['$count', '$amountCount'] };
+    const amountRange = options.nullAmounts === 'exclude'
+      ? {}
+      : {
+        minAmount: { $cond: [withNulls, { $min: ['$minAmount', 0] }, '$minAmount'] },
+        maxAmount: { $cond: [withNulls, { $max: ['$maxAmount', 0] }, '$maxAmount'] }
+      };
+
+    pipeline.push(
+      {
+        $group: {
+          _id: groupId,
+          totalAmount: { $sum: '$totalAmount' },
+          count: { $sum: '$count' },
+          amountCount: { $sum: '$withAmount' },
+          minAmount: { $min: '$minAmount' },
+          maxAmount: { $max: '$maxAmount' },
+          uniqueMetrics: { $addToSet: '$metric' },
+          firstTimestamp: { $min: '$firstTimestamp' },
+          lastTimestamp: { $max: '$lastTimestamp' }
+        }
+      },
+      {
+        $addFields: {
+          averageAmount: {
+            $cond: [{ $gt: [countedAmounts, 0] }, { $divide: ['$totalAmount', countedAmounts] }, null]
+          },
+          ...amountRange,
+          dateRange: { min: '$firstTimestamp', max: '$lastTimestamp' }
+        }
+      }
+    );
+    return pipeline;
+  }
+
+  /**
+   * Rows of the comparison period, keyed by group
+   * @returns {Map} JSON group id -> { key, groupId, comparison: { totals, averages, ranges, measures } }
+   */
+  async _comparisonRows(options) {
+    const { startDate, endDate } = options.comparison;
+    const compared = {
+      ...options,
+      match: { ...options.match, timestamp: { $gte: startDate, $lte: endDate } },
+      interval: undefined
+    };
+    const results = this._canUseRollups(compared)
+      ? await Rollup.aggregate(this._rollupPipeline(compared, compared.group.key))
+      : await NormalizedEvent.aggregate(this._summaryPipeline(compared));
+
+    return new Map(results.map(result => {
+      const { totals, averages, ranges, measures } = this._formatSummary(result, compared);
+      const key = JSON.stringify(result._id ?? null);
+      return [key, { key, groupId: result._id, comparison: this._comparisonOf({ totals, averages, ranges, measures }) }];
+    }));
+  }
+
+  // Summary result of a group with no events in the queried period
+  _emptySummary(groupId) {
+    return {
+      _id: groupId,
+      totalAmount: 0,
+      count: 0,
+      amountCount: 0,
+      averageAmount: null,
+      minAmount: null,
+      maxAmount: null,
+      uniqueMetrics: [],
+      dateRange: { min: null, max: null }
+    };
+  }
+
+  // Comparison values of a group with no events in the comparison period
+  _emptyComparison(options) {
+    return this._comparisonOf({
+      ...this._formatMeasuresOf(null, options),
+      ranges: { amount: { min: null, max: null } }
+    });
+  }
+
+  _comparisonOf({ totals, averages, ranges, measures }) {
+    const comparison = { totals, averages, ranges: { amount: ranges.amount } };
+    if (measures) comparison.measures = measures;
+    return comparison;
+  }
+
+  /**
+   * Absolute and percentage change from the comparison period, for totals,
+   * averages and any distribution measures
+   */
+  _deltas(current, previous) {
+    const pairs = {
+      total: [current.totals.amount, previous.totals.amount],
+      count: [current.totals.count, previous.totals.count],
+      average: [current.averages.amount, previous.averages.amount]
+    };
+    Object.keys(current.measures || {}).forEach(name => {
+      pairs[name] = [current.measures[name], previous.measures ? previous.measures[name] : null];
+    });
+
+    return Object.fromEntries(Object.entries(pairs).map(([name, [now, before]]) => {
+      if (now === null || now === undefined || before === null || before === undefined) {
+        return [name, { absolute: null, percent: null }];
+      }
+      return [name, {
+        absolute: this._round(now - before),
+        percent: before === 0 ? null : this._round(((now - before) / Math.abs(before)) * 100)
+      }];
+    }));
+  }
+
+  /**
+   * Sort rows by a measure and roll everything past the limit into one "other" row
+   * @param {Function} labelOther - Adds the label fields to the combined row
+   */
+  _rank(rows, ranking, labelOther) {
+    if (!ranking.sort) return rows;
+
+    const read = SORT_MEASURES[ranking.sort] || (row => (row.measures ? row.measures[ranking.sort] : null));
+    const direction = ranking.order === 'asc' ? 1 : -1;
+    const sorted = [...rows].sort((a, b) => {
+      const x = read(a);
+      const y = read(b);
+      // Rows without a value go last either way
+      if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+      if (y === null || y === undefined) return -1;
+      return (x - y) * direction;
+    });
+
+    if (!ranking.limit || sorted.length <= ranking.limit) return sorted;
+
+    const rest = sorted.slice(ranking.limit);
+    const other = labelOther(this._combine(rest));
+    other.other = true;
+    other.rolledUp = rest.length;
+    return [...sorted.slice(0, ranking.limit), other];
+  }
+
+  /**
+   * Turn flat dimension rows into a tree, one level per dimension.
+   * Parent nodes carry subtotals; sorting and limits apply among siblings.
+   */
+  _nest(rows, dimensions, ranking, level = 0) {
+    const dimension = dimensions[level];
+    const byValue = new Map();
+    rows.forEach(row => {
+      const valueKey = JSON.stringify(row.dimensions[dimension]);
+      if (!byValue.has(valueKey)) byValue.set(valueKey, []);
+      byValue.get(valueKey).push(row);
+    });
+
+    const nodes = [...byValue.values()].map(children => {
+      const value = children[0].dimensions[dimension];
+      if (level === dimensions.length - 1) {
+        const leaf = { dimension, value, ...children[0] };
+        delete leaf.dimensions;
+        return leaf;
+      }
+      return {
+        dimension,
+        value,
+        ...this._combine(children),
+        children: this._nest(children, dimensions, ranking, level + 1)
+      };
+    });
+
+    return this._rank(nodes, ranking, combined => ({ dimension, value: null, ...combined }));
+  }
+
+  /**
+   * Combine formatted rows into one; averages are recomputed from the totals.
+   * Distribution measures can't be combined, so they are left out.
+   * Comparison values are combined the same way and the deltas recomputed.
+   */
+  _combine(rows) {
+    const totals = this._combineBucket(rows);
+    const dates = rows.map(row => row.ranges.date).filter(Boolean);
+    const combined = {
+      ...totals,
+      ranges: {
+        ...totals.ranges,
+        date: {
+          min: this._extreme(dates.map(date => date.min), -1),
+          max: this._extreme(dates.map(date => date.max), 1)
+        }
+      },
+      metrics: [...new Set(rows.flatMap(row => row.metrics))]
+    };
+
+    if (rows.length > 0 && rows[0].series) {
+      combined.series = rows[0].series.map((bucket, index) => ({
+        start: bucket.start,
+        end: bucket.end,
+        partial: bucket.partial,
+        ...this._combineBucket(rows.map(row => row.series[index]))
+      }));
+    }
+    if (rows.length > 0 && rows[0].comparison) {
+      combined.comparison = this._combineBucket(rows.map(row => row.comparison));
+      combined.deltas = this._deltas(combined, combined.comparison);
+    }
+    return combined;
+  }
+
+  _combineBucket(entries) {
+    const amount = this._round(entries.reduce((sum, entry) => sum + entry.totals.amount, 0));
+    const count = entries.reduce((sum, entry) => sum + entry.totals.count, 0);
+    const totals = { amount, count };
+
+    // Averages only count events with an amount when null amounts are excluded
+    let averaged = count;
+    if (entries.length > 0 && entries[0].totals.withAmount !== undefined) {
+      totals.withAmount = entries.reduce((sum, entry) => sum + entry.totals.withAmount, 0);
+      averaged = totals.withAmount;
+    }
+
+    return {
+      totals,
+      averages: { amount: averaged > 0 ? this._round(amount / averaged) : null },
+      ranges: {
+        amount: {
+          min: this._extreme(entries.map(entry => entry.ranges.amount.min), -1),
+          max: this._extreme(entries.map(entry => entry.ranges.amount.max), 1)
+        }
+      }
+    };
+  }
+
+  // Smallest (sign -1) or largest (sign 1) non-null value
+  _extreme(values, sign) {
+    return values
+      .filter(value => value !== null && value !== undefined)
+      .reduce((best, value) => (best === null || (value > best) === (sign > 0) ? value : best), null);
+  }
+
+  _summaryPipeline(options) {
+    const { match, group } = options;
+    return [
+      { $match: match },
+      ...this._unwindStages(group),
+      {
+        $group: {
+          _id: group.key,
+          ...this._accumulators(options),
+          uniqueMetrics: { $addToSet: '$metric' },
+          firstTimestamp: { $min: '$timestamp' },
+          lastTimestamp: { $max: '$timestamp' }
+        }
+      },
+      {
+        $addFields: {
+          dateRange: { min: '$firstTimestamp', max: '$lastTimestamp' }
+        }
+      }
+    ];
+  }
+
+  _formatSummary(result, options) {
+    const { group } = options;
+    const label = group.dimensions
+      ? { dimensions: Object.fromEntries(group.dimensions.map(name => [name, result._id[name] ?? null])) }
+      : { group: group.key === null ? 'all' : (result._id ?? 'none') };
+    return {
+      ...label,
+      ...this._formatMeasuresOf(result, options),
+      ranges: {
+        amount: {
+          min: result.minAmount,
+          max: result.maxAmount
+        },
+        date: result.dateRange
+      },
+      metrics: result.uniqueMetrics.filter(m => m !== null && m !== '')
+    };
+  }
+
+  /**
+   * Accumulators shared by every aggregate $group
+   * Null amounts count as 0 unless nullAmounts is "exclude"
+   */
+  _accumulators(options) {
+    const amount = options.nullAmounts === 'exclude' ? '$amount' : { $ifNull: ['$amount', 0] };
+    const accumulators = {
+      totalAmount: { $sum: amount },
+      averageAmount: { $avg: amount },
+      count: { $sum: 1 },
+      minAmount: { $min: amount },
+      maxAmount: { $max: amount }
+    };
+    if (options.nullAmounts === 'exclude') {
+      accumulators.amountCount = { $sum: { $cond: [{ $isNumber: '$amount' }, 1, 0] } };
+    }
+
+    (options.measures || []).forEach((measure, index) => {
+      accumulators[`measure${index}`] = this._measureAccumulator(measure, amount);
+    });
+    return accumulators;
+  }
+
+  // $median and $percentile need MongoDB 7.0 or newer
+  _measureAccumulator(measure, amount) {
+    switch (measure.kind) {
+      case 'median':
+        return { $median: { input: amount, method: 'approximate' } };
+      case 'percentile':
+        return { $percentile: { input: amount, p: [measure.p], method: 'approximate' } };
+      case 'distinct':
+        return { $addToSet: measure.path };
+      default:
+        // Variance is the square of the population standard deviation
+        return { $stdDevPop: amount };
+    }
+  }
+
+  // Totals, averages and requested measures of a $group result, or of an empty bucket
+  _formatMeasuresOf(result, options) {
+    const formatted = {
+      totals: {
+        amount: result ? this._round(result.totalAmount) : 0,
+        count: result ? result.count : 0
+      },
+      averages: {
+        amount: result ? this._round(result.averageAmount) : null
+      }
+    };
+    if (options.nullAmounts === 'exclude') {
+      formatted.totals.withAmount = result ? result.amountCount : 0;
+    }
+    if (options.measures && options.measures.length > 0) {
+      formatted.measures = this._formatMeasures(result || {}, options.measures);
+    }
+    return formatted;
+  }
+
+  _formatMeasures(result, measures) {
+    return Object.fromEntries(measures.map((measure, index) => {
+      const value = result[`measure${index}`];
+      if (measure.kind === 'distinct') {
+        // Tags add whole lists to the set, so count their elements
+        const values = (value || []).flat()
+          .filter(item => item !== null && item !== '')
+          .map(item => (item instanceof Date ? item.getTime() : item));
+        return [measure.name, new Set(values).size];
+      }
+      if (value === null || value === undefined) return [measure.name, null];
+
+      const number = measure.kind === 'percentile' ? value[0] : value;
+      return [measure.name, this._round(measure.kind === 'variance' ? number * number : number)];
+    }));
+  }
+
+  _round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Per-group time series with empty buckets filled in.
+   * Buckets cut by startDate or endDate are marked partial.
+   * @returns {Object} { forGroup(groupId) } or { error }
+   */
+  async _timeSeries(options, fromRollups) {
+    const { match, group, interval, timezone } = options;
+    const startDate = options.startDate ? new Date(options.startDate) : null;
+    const endDate = options.endDate ? new Date(options.endDate) : null;
+
+    // Events without a timestamp can't be placed in a bucket
+    const seriesMatch = { ...match, timestamp: { ...match.timestamp, $type: 'date' } };
+    const results = fromRollups
+      ? await Rollup.aggregate(this._rollupPipeline(
+        options,
+        { group: group.key, bucket: timeBuckets.truncExpression(interval, timezone, '$bucket') },
+        true
+      ))
+      : await NormalizedEvent.aggregate([
+        { $match: seriesMatch },
+        ...this._unwindStages(group),
+        {
+          $group: {
+            _id: { group: group.key, bucket: timeBuckets.truncExpression(interval, timezone) },
+            ...this._accumulators(options)
+          }
+        }
+      ]);
+
+    // Without explicit bounds the series spans the data
+    const bucketStarts = results.map(result => result._id.bucket.getTime());
+    const from = startDate || (bucketStarts.length > 0 ? new Date(Math.min(...bucketStarts)) : null);
+    const to = endDate || (bucketStarts.length > 0 ? new Date(Math.max(...bucketStarts)) : null);
+
+    const buckets = from && to ? timeBuckets.range(from, to, interval, timezone) : [];
+    if (buckets === null) {
+      return {
+        error: `Too many ${interval} buckets: at most ${timeBuckets.maxBuckets} allowed. Narrow the date range or use a larger interval`
+      };
+    }
+
+    const byGroup = new Map();
+    results.forEach(result => {
+      const groupKey = JSON.stringify(result._id.group ?? null);
+      if (!byGroup.has(groupKey)) byGroup.set(groupKey, new Map());
+      byGroup.get(groupKey).set(result._id.bucket.getTime(), result);
+    });
+
+    return {
+      forGroup: (groupId) => {
+        const values = byGroup.get(JSON.stringify(groupId ?? null)) || new Map();
+        return buckets.map(({ start, end }) => {
+          const result = values.get(start.getTime());
+          return {
+            start,
+            end,
+            partial: Boolean((startDate && start < startDate) || (endDate && end.getTime() - 1 > endDate.getTime())),
+            ...this._formatMeasuresOf(result, options),
+            ranges: {
+              amount: {
+                min: result ? result.minAmount : null,
+                max: result ? result.maxAmount : null
+              }
+            }
+          };
+        });
+      }
+    };
+  }
+
+  _unwindStages(group) {
+    const paths = [].concat(group.unwind || []);
+    return paths.map(path => ({ $unwind: { path, preserveNullAndEmptyArrays: true } }));
+  }
+}
+
+module.exports = new Aggregator();
@@ -0,0 +1,213 @@
+/**
+ * Amount Parsing Service
+ * Parses monetary amounts using per-source locale settings and captures the currency
+ */
+
+// Currency symbols recognised in amount strings, longest first so "R$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['A$', 'AUD'], ['C$', 'CAD'], ['HK$', 'HKD'], ['NZ$', 'NZD'], ['R$', 'BRL'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW'],
+  ['₽', 'RUB'], ['₺', 'TRY'], ['₪', 'ILS'], ['₫', 'VND'], ['฿', 'THB'], ['₦', 'NGN']
+].sort((a, b) => b[0].length - a[0].length);
+
+const DECIMAL_SEPARATORS = ['.', ','];
+const THOUSANDS_SEPARATORS = [',', '.', ' ', "'", ''];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class AmountParser {
+  constructor() {
+    // Separators resolved from locale names, keyed by locale
+    this.localeCache = new Map();
+  }
+
+  /**
+   * Parse an amount
+   * @param {*} value - Raw amount from the payload
+   * @param {Object} options - { locale, decimalSeparator, thousandsSeparator, accountingNegatives, currency }
+   * @returns {Object} { value, currency } or { error } if the string can't be parsed unambiguously
+   */
+  parse(value, options = {}) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value)
+        ? { value, currency: options.currency || null }
+        : { error: `Unparseable amount "${value}"` };
+    }
+    if (typeof value !== 'string') {
+      return { value: null, currency: null };
+    }
+
+    let text = this._normalizeSeparators(value).trim();
+    if (text === '') {
+      return { value: null, currency: null };
+    }
+
+    const allowAccounting = options.accountingNegatives !== false;
+    let negative = false;
+    let currency = null;
+
+    // Accounting-style negative: (300), ($300) or $(300)
+    const unwrapParentheses = () => {
+      const match = /^\((.*)\)$/.exec(text);
+      if (!match) return true;
+      if (!allowAccounting || negative) return false;
+      negative = true;
+      text = match[1].trim();
+      return true;
+    };
+
+    const takeSign = () => {
+      const match = /^([+-])\s*/.exec(text);
+      if (!match) return true;
+      if (negative) return false;
+      negative = match[1] === '-';
+      text = text.slice(match[0].length);
+      return true;
+    };
+
+    const takeCurrency = () => {
+      const detected = this._takeCurrency(text);
+      if (!detected) return true;
+      if (currency) return false;
+      currency = detected.currency;
+      text = detected.rest;
+      return true;
+    };
+
+    const steps = [unwrapParentheses, takeSign, takeCurrency, unwrapParentheses, takeSign];
+    if (!steps.every(step => step())) {
+      return { error: `Unparseable amount "${value}"` };
+    }
+
+    const parsed = this._parseNumber(text, this._separators(options));
+    if (parsed === null) {
+      return { error: `Unparseable amount "${value}"` };
+    }
+
+    return {
+      value: negative ? -parsed : parsed,
+      currency: currency || options.currency || null
+    };
+  }
+
+  /**
+   * Validate per-source amount settings
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return 'Amount settings must be an object';
+    }
+
+    if (options.locale !== undefined) {
+      try {
+        if (Intl.NumberFormat.supportedLocalesOf([options.locale]).length === 0) {
+          return `Unsupported locale "${options.locale}"`;
+        }
+      } catch (error) {
+        return `Invalid locale "${options.locale}"`;
+      }
+    }
+    if (options.decimalSeparator !== undefined && !DECIMAL_SEPARATORS.includes(options.decimalSeparator)) {
+      return `decimalSeparator must be one of: ${DECIMAL_SEPARATORS.join(' ')}`;
+    }
+    if (options.thousandsSeparator !== undefined && !THOUSANDS_SEPARATORS.includes(options.thousandsSeparator)) {
+      return `thousandsSeparator must be one of: ${THOUSANDS_SEPARATORS.map(s => JSON.stringify(s)).join(' ')}`;
+    }
+
+    const { decimal, thousands } = this._separators(options);
+    if (decimal === thousands) {
+      return 'decimalSeparator and thousandsSeparator must differ';
+    }
+    if (options.accountingNegatives !== undefined && typeof options.accountingNegatives !== 'boolean') {
+      return 'accountingNegatives must be a boolean';
+    }
+    if (options.currency !== undefined && !/^[A-Z]{3}$/.test(options.currency)) {
+      return 'currency must be a three-letter ISO 4217 code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve separators from explicit settings, then the locale, then "1,234.56"
+   * ("1.234,56" when only a "," decimal separator is given)
+   */
+  _separators(options) {
+    const fromLocale = options.locale ? this._localeSeparators(options.locale) : {};
+    const decimal = options.decimalSeparator ?? fromLocale.decimal ?? '.';
+    const thousands = options.thousandsSeparator !== undefined
+      ? this._normalizeSeparators(options.thousandsSeparator)
+      : (fromLocale.thousands ?? (decimal === ',' ? '.' : ','));
+    return { decimal, thousands };
+  }
+
+  _localeSeparators(locale) {
+    if (!this.localeCache.has(locale)) {
+      const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+      const decimal = parts.find(part => part.type === 'decimal');
+      const group = parts.find(part => part.type === 'group');
+      this.localeCache.set(locale, {
+        decimal: decimal ? decimal.value : '.',
+        thousands: group ? this._normalizeSeparators(group.value) : ''
+      });
+    }
+    return this.localeCache.get(locale);
+  }
+
+  /**
+   * Treat non-breaking and narrow spaces (fr-FR) as plain spaces
+   * and typographic apostrophes (de-CH) as plain apostrophes
+   */
+  _normalizeSeparators(text) {
+    return text.replace(/[\u00a0\u202f]/g, ' ').replace(/\u2019/g, "'");
+  }
+
+  /**
+   * Strip a currency symbol or ISO code from either end of the string
+   * @returns {Object|null} { currency, rest }
+   */
+  _takeCurrency(text) {
+    const code = /^([A-Z]{3})\s*(.+)$/.exec(text) || /^(.+?)\s*([A-Z]{3})$/.exec(text);
+    if (code) {
+      const isPrefix = /^[A-Z]{3}/.test(text) && code[1].length === 3 && /^[A-Z]{3}$/.test(code[1]);
+      return isPrefix
+        ? { currency: code[1], rest: code[2].trim() }
+        : { currency: code[2], rest: code[1].trim() };
+    }
+
+    for (const [symbol, currency] of CURRENCY_SYMBOLS) {
+      if (text.startsWith(symbol)) {
+        return { currency, rest: text.slice(symbol.length).trim() };
+      }
+      if (text.endsWith(symbol)) {
+        return { currency, rest: text.slice(0, -symbol.length).trim() };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse an unsigned number that must match the configured separators exactly
+   * @returns {number|null} Parsed value, or null if the string doesn't match
+   */
+  _parseNumber(text, { decimal, thousands }) {
+    // Scientific notation is only unambiguous when "." is the decimal separator
+    if (decimal === '.' && /^\d+(\.\d+)?e[+-]?\d+$/i.test(text)) {
+      return parseFloat(text);
+    }
+
+    const d = escapeRegExp(decimal);
+    const grouped = thousands ? `\\d{1,3}(?:${escapeRegExp(thousands)}\\d{3})+|` : '';
+    const pattern = new RegExp(`^(?:(${grouped}\\d+)(?:${d}(\\d*))?|${d}(\\d+))$`);
+    const match = pattern.exec(text);
+    if (!match) return null;
+
+    const integerPart = match[1] !== undefined ? match[1].split(thousands || null).join('') : '0';
+    const fractionPart = match[2] || match[3] || '0';
+    return parseFloat(`${integerPart}.${fractionPart}`);
+  }
+}
+
+module.exports = new AmountParser();
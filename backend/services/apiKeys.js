@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+
+// Keys look like ck_<43 base64url characters>
+const KEY_PREFIX = 'ck_';
+const KEY_BYTES = 32;
+const VISIBLE_LENGTH = KEY_PREFIX.length + 8;
+
+// Ingestion requests must carry a key; turn off only for local development
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED !== 'false';
+
+// Guards the key management routes
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_INTERVAL_MS = parseInt(process.env.API_KEY_LAST_USED_INTERVAL_MS || '60000', 10);
+
+// Longest an old key keeps working after a rotation
+const MAX_GRACE_MINUTES = 7 * 24 * 60;
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * API Key Service
+ * Issues per-source ingestion keys, stores only their hashes and ties each
+ * request to the source its key was issued for
+ */
+class ApiKeyService {
+  constructor() {
+    this.required = API_KEYS_REQUIRED;
+    this.headerName = 'X-API-Key';
+    this.adminHeaderName = 'X-Admin-Key';
+
+    // Used as Express middleware
+    this.authenticate = this.authenticate.bind(this);
+    this.requireAdmin = this.requireAdmin.bind(this);
+  }
+
+  /**
+   * Validate the body of a create request
+   * @returns {string|null} Error message, or null if the request is acceptable
+   */
+  validateCreate({ source, label }) {
+    if (!source || typeof source !== 'string' || !source.trim()) {
+      return 'Missing required field: source';
+    }
+    if (label !== undefined && label !== null &&
+        (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+      return `label must be a string of at most ${MAX_LABEL_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate the grace period of a rotation
+   * @returns {string|null} Error message, or null if acceptable
+   */
+  validateGrace(graceMinutes) {
+    if (graceMinutes === undefined) return null;
+    if (typeof graceMinutes !== 'number' || !Number.isFinite(graceMinutes) ||
+        graceMinutes < 0 || graceMinutes > MAX_GRACE_MINUTES) {
+      return `graceMinutes must be a number between 0 and ${MAX_GRACE_MINUTES}`;
+    }
+    return null;
+  }
+
+  /**
+   * Issue a new key for a source
+   * @returns {Object} { apiKey, key }; the plain key is only ever returned here
+   */
+  async create(source, { label = null } = {}) {
+    const key = this._generate();
+    const apiKey = await ApiKey.create({
+      source: source.trim(),
+      label,
+      keyHash: this.hash(key),
+      prefix: key.slice(0, VISIBLE_LENGTH)
+    });
+    return { apiKey: this.toPublic(apiKey.toObject()), key };
+  }
+
+  /**
+   * List keys, newest first
+   * @param {Object} filter - { source }
+   */
+  async list({ source } = {}) {
+    const query = source ? { source } : {};
+    const keys = await ApiKey.find(query).sort({ createdAt: -1 }).lean();
+    return keys.map(key => this.toPublic(key));
+  }
+
+  /**
+   * Replace a key with a new one for the same source
+   * The old key stops working now, or after graceMinutes so clients can switch over.
+   * @returns {Object|null} { apiKey, key, previous }, or null if no key with this ID
+   *   is still in use (not revoked or already rotated)
+   */
+  async rotate(id, { graceMinutes = 0 } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const now = new Date();
+      const retire = graceMinutes > 0
+        ? { expiresAt: new Date(now.getTime() + graceMinutes * 60 * 1000) }
+        : { revokedAt: now };
+      const previous = await ApiKey.findOneAndUpdate(
+        { _id: id, revokedAt: null, expiresAt: null },
+        { $set: retire },
+        { new: true, session }
+      );
+      if (!previous) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      const key = this._generate();
+      const [apiKey] = await ApiKey.create([{
+        source: previous.source,
+        label: previous.label,
+        keyHash: this.hash(key),
+        prefix: key.slice(0, VISIBLE_LENGTH),
+        rotatedFrom: previous._id
+      }], { session });
+
+      await session.commitTransaction();
+      return {
+        apiKey: this.toPublic(apiKey.toObject()),
+        key,
+        previous: this.toPublic(previous.toObject())
+      };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Stop a key from working
+   * @returns {Object|null} Revoked key, or null if no key has this ID
+   */
+  async revoke(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) return null;
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    return this.toPublic(apiKey.toObject());
+  }
+
+  /**
+   * Look up the active key matching a plain key and note that it was used
+   * @returns {Object|null} Key document, or null if unknown, revoked or expired
+   */
+  async verify(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+    const now = new Date();
+    const apiKey = await ApiKey.findOne({ keyHash: this.hash(key), ...this._activeFilter(now) }).lean();
+    if (!apiKey) return null;
+
+    // Throttled so busy keys don't write on every request
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_INTERVAL_MS) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+    }
+    return apiKey;
+  }
+
+  /**
+   * Express middleware for ingestion routes
+   * Sets req.apiKey to { id, source } for a valid X-API-Key header. Without a
+   * header the request is rejected, unless keys aren't required.
+   */
+  async authenticate(req, res, next) {
+    const key = req.get(this.headerName);
+    if (key === undefined) {
+      if (!this.required) {
+        req.apiKey = null;
+        return next();
+      }
+      return res.status(401).json({
+        success: false,
+        error: `Missing ${this.headerName} header`
+      });
+    }
+
+    let apiKey;
+    try {
+      apiKey = await this.verify(key);
+    } catch (error) {
+      console.error('API key lookup error:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    req.apiKey = { id: apiKey._id, source: apiKey.source };
+    next();
+  }
+
+  /**
+   * Source a request may write as
+   * @param {Object} req - Request that passed authenticate
+   * @param {string} source - Source named in the body, if any
+   * @returns {Object} { source } (undefined if neither names one) or { error }
+   */
+  resolveSource(req, source) {
+    if (!req.apiKey) return { source };
+    if (source !== undefined && source !== null && source !== '' && source !== req.apiKey.source) {
+      return { error: `source "${source}" does not match the API key, which was issued for "${req.apiKey.source}"` };
+    }
+    return { source: req.apiKey.source };
+  }
+
+  /**
+   * Whether the request carries the admin key (X-Admin-Key header)
+   */
+  isAdmin(req) {
+    if (!ADMIN_API_KEY) return false;
+    const given = req.get(this.adminHeaderName) || '';
+    // Compare hashes so the comparison takes the same time whatever the length
+    return crypto.timingSafeEqual(Buffer.from(this.hash(given), 'hex'), Buffer.from(this.hash(ADMIN_API_KEY), 'hex'));
+  }
+
+  /**
+   * Express middleware for admin-only routes (X-Admin-Key header)
+   */
+  requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin routes are disabled: set ADMIN_API_KEY'
+      });
+    }
+
+    if (!this.isAdmin(req)) {
+      return res.status(401).json({
+        success: false,
+        error: `Missing or invalid ${this.adminHeaderName} header`
+      });
+    }
+    next();
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Key fields safe to return; the hash never leaves the server
+   */
+  toPublic(apiKey) {
+    const { keyHash, __v, ...rest } = apiKey;
+    const now = new Date();
+    let status = 'active';
+    if (apiKey.revokedAt) status = 'revoked';
+    else if (apiKey.expiresAt && apiKey.expiresAt <= now) status = 'expired';
+    else if (apiKey.expiresAt) status = 'expiring';
+    return { ...rest, status };
+  }
+
+  _generate() {
+    return KEY_PREFIX + crypto.randomBytes(KEY_BYTES).toString('base64url');
+  }
+
+  _activeFilter(now) {
+    return {
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
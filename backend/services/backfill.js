@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const os = require('os');
+const { RawEvent, NormalizedEvent } = require('../models/Event');
+const BackfillJob = require('../models/BackfillJob');
+const normalizer = require('./normalizer');
+const eventProcessor = require('./eventProcessor');
+const rollups = require('./rollups');
+
+// Raw events re-normalized between progress checkpoints
+const BACKFILL_BATCH_SIZE = parseInt(process.env.BACKFILL_BATCH_SIZE || '200', 10);
+
+// A running job whose heartbeat is older than this is considered crashed
+const BACKFILL_STALE_MS = parseInt(process.env.BACKFILL_STALE_MS || '60000', 10);
+
+// Number of diffs kept on a job
+const MAX_BACKFILL_DIFFS = 1000;
+
+// Normalized fields compared between the stored record and the re-normalized output
+const COMPARED_FIELDS = [
+  'metric', 'amount', 'currency', 'timestamp', 'timestampInterpretation', 'attributes',
+  'normalizedHash', 'dedupKey'
+];
+
+/**
+ * Backfill Service
+ * Re-runs the normalizer over stored raw events after mappings or converters
+ * change, with checkpointed progress so interrupted jobs can resume
+ */
+class BackfillService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Create a backfill job and start it in the background
+   * @param {Object} options - { source, startDate, endDate, dryRun }
+   */
+  async createJob(options) {
+    const job = await BackfillJob.create({
+      source: options.source,
+      startDate: options.startDate ? new Date(options.startDate) : undefined,
+      endDate: options.endDate ? new Date(options.endDate) : undefined,
+      dryRun: options.dryRun === true,
+      mappingVersion: normalizer.getMappingVersion(options.source)
+    });
+
+    this._start(job._id);
+    return job.toObject();
+  }
+
+  async get(jobId) {
+    return BackfillJob.findById(jobId).lean();
+  }
+
+  /**
+   * List jobs, newest first. Diffs are left out; fetch a single job to see them.
+   */
+  async list(filter = {}) {
+    const query = {};
+    if (filter.source) query.source = filter.source;
+    if (filter.status) query.status = filter.status;
+
+    return BackfillJob.find(query)
+      .select('-diffs')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(filter.limit || '50', 10), 500))
+      .lean();
+  }
+
+  /**
+   * Stop a pending or running job after its current batch
+   * @returns {Object|null} Updated job, or null if the job isn't active
+   */
+  async cancel(jobId) {
+    return BackfillJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['pending', 'running'] } },
+      { status: 'cancelled', finishedAt: new Date() },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Continue a failed, cancelled or crashed job from its last checkpoint
+   * @returns {Object|null} Updated job, or null if the job can't be resumed
+   */
+  async resume(jobId) {
+    const job = await BackfillJob.findOneAndUpdate(
+      { _id: jobId, $or: [{ status: { $in: ['failed', 'cancelled'] } }, this._staleQuery()] },
+      { status: 'pending', $unset: { errorMessage: 1, finishedAt: 1 } },
+      { new: true }
+    ).lean();
+    if (!job) return null;
+
+    this._start(job._id);
+    return job;
+  }
+
+  /**
+   * Restart jobs left pending or running by a process that stopped.
+   * Called on startup.
+   * @returns {number} Number of jobs restarted
+   */
+  async resumeInterrupted() {
+    const jobs = await BackfillJob.find({
+      $or: [{ status: 'pending' }, this._staleQuery()]
+    }).select('_id').lean();
+
+    jobs.forEach(job => this._start(job._id));
+    return jobs.length;
+  }
+
+  _start(jobId) {
+    this.run(jobId).catch(error => {
+      console.error(`Backfill job ${jobId} crashed:`, error);
+    });
+  }
+
+  /**
+   * Run a job to completion, checkpointing after every batch
+   * @returns {Object|null} Final job, or null if another worker owns it
+   */
+  async run(jobId) {
+    const job = await this._claim(jobId);
+    if (!job) return null;
+
+    const session = await mongoose.startSession();
+
+    try {
+      let cursor = job.cursor;
+
+      for (;;) {
+        const rawEvents = await RawEvent.find(this._rawQuery(job, cursor))
+          .sort({ _id: 1 })
+          .limit(BACKFILL_BATCH_SIZE)
+          .lean();
+        if (rawEvents.length === 0) break;
+
+        const progress = { processed: 0, updated: 0, unchanged: 0, created: 0, merged: 0, errors: 0 };
+        const diffs = [];
+        for (const rawEvent of rawEvents) {
+          const outcome = await this._renormalize(rawEvent, job.dryRun, session);
+          progress.processed++;
+          progress[outcome.result]++;
+          if (outcome.diff) diffs.push(outcome.diff);
+        }
+        cursor = rawEvents[rawEvents.length - 1]._id;
+
+        const checkpoint = await BackfillJob.findOneAndUpdate(
+          { _id: job._id, status: 'running', workerId: this.workerId },
+          {
+            $inc: Object.fromEntries(Object.entries(progress).map(([key, count]) => [`progress.${key}`, count])),
+            $set: { cursor, heartbeatAt: new Date() },
+            $push: { diffs: { $each: diffs, $slice: MAX_BACKFILL_DIFFS } }
+          },
+          { new: true }
+        );
+
+        // Cancelled, or taken over after a missed heartbeat
+        if (!checkpoint) return this.get(job._id);
+      }
+
+      return await BackfillJob.findOneAndUpdate(
+        { _id: job._id, status: 'running', workerId: this.workerId },
+        { status: 'completed', finishedAt: new Date() },
+        { new: true }
+      ).lean();
+
+    } catch (error) {
+      console.error(`Backfill job ${job._id} failed:`, error);
+      return BackfillJob.findOneAndUpdate(
+        { _id: job._id, status: 'running', workerId: this.workerId },
+        { status: 'failed', errorMessage: error.message, finishedAt: new Date() },
+        { new: true }
+      ).lean();
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Atomically take ownership of a pending or crashed job
+   */
+  async _claim(jobId) {
+    const now = new Date();
+    const job = await BackfillJob.findOneAndUpdate(
+      { _id: jobId, $or: [{ status: 'pending' }, this._staleQuery()] },
+      { status: 'running', workerId: this.workerId, heartbeatAt: now },
+      { new: true }
+    ).lean();
+    if (!job) return null;
+
+    // Counted once, on the first run; resumed jobs keep their totals
+    if (!job.startedAt) {
+      const total = await RawEvent.countDocuments(this._rawQuery(job, null));
+      await BackfillJob.updateOne({ _id: job._id }, { startedAt: now, 'progress.total': total });
+    }
+    return job;
+  }
+
+  _staleQuery() {
+    return { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - BACKFILL_STALE_MS) } };
+  }
+
+  /**
+   * Raw events covered by a job: normalized events of its source, after the cursor
+   */
+  _rawQuery(job, cursor) {
+    const query = { source: job.source, status: 'normalized' };
+    if (job.startDate || job.endDate) {
+      query.receivedAt = {};
+      if (job.startDate) query.receivedAt.$gte = job.startDate;
+      if (job.endDate) query.receivedAt.$lte = job.endDate;
+    }
+    if (cursor) query._id = { $gt: cursor };
+    return query;
+  }
+
+  /**
+   * Re-normalize one raw event and update its normalized record
+   * @returns {Object} { result: updated|unchanged|created|merged|errors, diff }
+   */
+  async _renormalize(rawEvent, dryRun, session) {
+    const normalized = normalizer.normalize({
+      source: rawEvent.source,
+      payload: rawEvent.payload,
+      idempotencyKey: rawEvent.idempotencyKey || rawEvent.releasedIdempotencyKey,
+      rawEventId: rawEvent._id
+    });
+    if (normalized.error) {
+      // The existing record is left as it is
+      return {
+        result: 'errors',
+        diff: { rawEventId: rawEvent._id, action: 'errors', error: normalized.error }
+      };
+    }
+
+    const existing = await NormalizedEvent.findOne({ rawEventId: rawEvent._id }).lean();
+    const changes = existing ? this._diff(existing, normalized) : null;
+
+    if (existing && Object.keys(changes).length === 0) {
+      // Only the version stamp changes
+      if (!dryRun && existing.mappingVersion !== normalized.mappingVersion) {
+        await NormalizedEvent.updateOne({ _id: existing._id }, { mappingVersion: normalized.mappingVersion });
+      }
+      return { result: 'unchanged' };
+    }
+
+    // The new output may now match another raw event's record
+    const collision = await eventProcessor.findSemanticDuplicate(normalized, null, {
+      excludeRawEventId: rawEvent._id
+    });
+
+    const result = collision ? 'merged' : (existing ? 'updated' : 'created');
+    const diff = {
+      rawEventId: rawEvent._id,
+      normalizedEventId: existing ? existing._id : null,
+      action: result,
+      changes: changes || this._diff({}, normalized)
+    };
+    if (collision) diff.mergedInto = collision._id;
+
+    if (!dryRun) {
+      await this._apply(rawEvent, existing, normalized, collision, session);
+    }
+    return { result, diff };
+  }
+
+  /**
+   * Write a re-normalized record in its own transaction
+   */
+  async _apply(rawEvent, existing, normalized, collision, session) {
+    session.startTransaction();
+
+    try {
+      if (collision) {
+        // Same outcome as ingestion: the raw event becomes a duplicate of the other record
+        if (existing) {
+          await NormalizedEvent.deleteOne({ _id: existing._id }, { session });
+        }
+        const dedupDecision = {
+          ...normalized.dedup,
+          duplicate: true,
+          matchedEventId: collision._id,
+          decidedAt: new Date()
+        };
+        await RawEvent.updateOne({ _id: rawEvent._id }, { status: 'duplicate', dedupDecision }, { session });
+      } else if (existing) {
+        await NormalizedEvent.updateOne(
+          { _id: existing._id },
+          { ...this._unsetMissing(normalized), renormalizedAt: new Date() },
+          { session }
+        );
+      } else {
+        await new NormalizedEvent({
+          ...normalized,
+          rawEventId: rawEvent._id,
+          renormalizedAt: new Date()
+        }).save({ session });
+      }
+
+      // The old and new versions may fall in different rollups
+      await rollups.refresh([existing, collision ? null : normalized], session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update that replaces the normalized fields, removing optional ones the new output lacks
+   */
+  _unsetMissing(normalized) {
+    const unset = {};
+    ['currency', 'timestampInterpretation', 'attributes'].forEach(field => {
+      if (normalized[field] === undefined) unset[field] = 1;
+    });
+    return Object.keys(unset).length > 0 ? { ...normalized, $unset: unset } : { ...normalized };
+  }
+
+  /**
+   * Fields whose value differs: { field: { from, to } }
+   */
+  _diff(existing, normalized) {
+    const changes = {};
+    COMPARED_FIELDS.forEach(field => {
+      const from = existing[field] ?? null;
+      const to = normalized[field] ?? null;
+      if (this._comparable(from) !== this._comparable(to)) {
+        changes[field] = { from, to };
+      }
+    });
+    return changes;
+  }
+
+  _comparable(value) {
+    return value instanceof Date ? value.toISOString() : JSON.stringify(value);
+  }
+}
+
+module.exports = new BackfillService();
@@ -0,0 +1,102 @@
+// Delimiters accepted for uploaded files
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * CSV Parser
+ * RFC 4180 parsing: quoted fields, doubled quotes, line breaks inside quotes,
+ * CRLF or LF line endings and a leading byte order mark
+ */
+class CsvParser {
+  constructor() {
+    this.delimiters = DELIMITERS;
+  }
+
+  /**
+   * Parse CSV text whose first row holds the column names
+   * Blank lines are skipped. Each row keeps the line number it starts on,
+   * counting the header as line 1, so reports match the spreadsheet.
+   * @param {string} text - File contents
+   * @param {Object} options - { delimiter }
+   * @returns {Object} { headers, rows: [{ line, values }] } or { error }
+   */
+  parse(text, options = {}) {
+    const delimiter = options.delimiter || ',';
+    if (!DELIMITERS.includes(delimiter)) {
+      return { error: `delimiter must be one of: ${DELIMITERS.map(d => JSON.stringify(d)).join(', ')}` };
+    }
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = 1;
+
+    const endRecord = () => {
+      record.push(field);
+      // A blank line is a record with one empty field
+      if (record.length > 1 || record[0] !== '') {
+        records.push({ line: recordLine, values: record });
+      }
+      record = [];
+      field = '';
+    };
+
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true;
+        quoteLine = line;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      return { error: `Unterminated quoted field starting on line ${quoteLine}` };
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    if (records.length === 0) {
+      return { error: 'The file is empty' };
+    }
+
+    const headers = records[0].values.map(name => name.trim());
+    const emptyIndex = headers.indexOf('');
+    if (emptyIndex !== -1) {
+      return { error: `Column ${emptyIndex + 1} of the header row has no name` };
+    }
+    const duplicate = headers.find((name, index) => headers.indexOf(name) !== index);
+    if (duplicate) {
+      return { error: `Column "${duplicate}" appears more than once in the header row` };
+    }
+
+    return { headers, rows: records.slice(1) };
+  }
+}
+
+module.exports = new CsvParser();
@@ -1,169 +1,961 @@
 const mongoose = require('mongoose');
 const { RawEvent, NormalizedEvent } = require('../models/Event');
 const normalizer = require('./normalizer');
+const idempotency = require('./idempotency');
+const validator = require('./validator');
+const faultInjector = require('./faultInjector');
+const rollups = require('./rollups');
+const webhooks = require('./webhooks');
 const crypto = require('crypto');
 
+// Upper bound on the number of items accepted by a single batch request
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '500', 10);
+
+// Processing attempts (original + retries) after which a failed event is no longer retried
+const MAX_EVENT_ATTEMPTS = parseInt(process.env.MAX_EVENT_ATTEMPTS || '5', 10);
+
+// Number of attempt errors kept on each raw event
+const ATTEMPT_HISTORY_LIMIT = 20;
+
+// Upper bound on the number of events replayed by one bulk retry
+const MAX_BULK_RETRY = 1000;
+
+// How long a raw event claimed for processing is protected from other requests and workers
+const PROCESSING_LEASE_MS = parseInt(process.env.PROCESSING_LEASE_MS || '30000', 10);
+
+// How long a request waits for an identical in-flight event before answering in_progress
+const IN_PROGRESS_WAIT_MS = parseInt(process.env.IN_PROGRESS_WAIT_MS || '5000', 10);
+const IN_PROGRESS_POLL_MS = 100;
+
+// Transaction reruns after transient errors, with exponential backoff and full jitter
+const TRANSACTION_MAX_RETRIES = parseInt(process.env.TRANSACTION_MAX_RETRIES || '3', 10);
+const TRANSACTION_RETRY_BASE_MS = parseInt(process.env.TRANSACTION_RETRY_BASE_MS || '50', 10);
+const TRANSACTION_RETRY_MAX_MS = parseInt(process.env.TRANSACTION_RETRY_MAX_MS || '2000', 10);
+
+// Raw event statuses that a new request may take over for processing
+const CLAIMABLE_STATUSES = ['pending', 'failed', 'quarantined'];
+
+// Raw event statuses a resubmission just reports back. Duplicates are settled
+// too: reprocessing one would only notify subscribers of the same duplicate again.
+const SETTLED_STATUSES = ['normalized', 'duplicate'];
+
 /**
  * Event Processing Service
  * Handles idempotency, deduplication, and partial failure scenarios
  */
 class EventProcessor {
+  constructor() {
+    this.maxBatchSize = MAX_BATCH_SIZE;
+    this.maxAttempts = MAX_EVENT_ATTEMPTS;
+    this.leaseMs = PROCESSING_LEASE_MS;
+    this.maxTransactionRetries = TRANSACTION_MAX_RETRIES;
+  }
+
+  /**
+   * Check that the raw event indexes deduplication relies on exist. Older
+   * databases keep a non-unique contentHash index that autoIndex can't replace.
+   * @returns {string|null} Problem found, or null if the indexes are in place
+   */
+  async checkIndexes() {
+    try {
+      await RawEvent.init();
+    } catch (error) {
+      // Reported below when it concerns the contentHash index
+    }
+
+    const indexes = await RawEvent.collection.indexes();
+    const contentHash = indexes.find(index => index.name === 'contentHash_1');
+    if (contentHash && contentHash.unique) return null;
+    return 'The raw event contentHash index is missing or not unique, so concurrent identical ' +
+      'submissions can create duplicates. Run npm run migrate:content-hash';
+  }
+
   /**
    * Process a raw event with full fault tolerance
    * @param {Object} rawEventData - Raw event from client
-   * @param {boolean} simulateFailure - For testing: simulate database failure
+   * @param {Object} options - { faults: injection points to fail once during this request (testing) }
    * @returns {Object} Processing result
    */
-  async processEvent(rawEventData, simulateFailure = false) {
+  async processEvent(rawEventData, options = {}) {
     const session = await mongoose.startSession();
-    session.startTransaction();
 
     try {
-      // Step 1: Generate content hash for raw event deduplication
-      const rawContentHash = this._generateRawHash(rawEventData);
+      return await this._processInOwnTransaction(rawEventData, session, {
+        faults: new Set(options.faults || [])
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
 
-      // Step 2: Check if we've already processed this exact raw event
-      const existingRaw = await RawEvent.findOne({ 
-        contentHash: rawContentHash,
-        status: { $in: ['normalized', 'processing'] }
-      }).session(session);
+  /**
+   * Store a raw event as pending for the worker pool instead of processing it now
+   * @param {Object} rawEventData - Raw event from client
+   * @returns {Object} Queued result, or a duplicate result if it was already settled
+   */
+  async enqueueEvent(rawEventData) {
+    const rawContentHash = this._generateRawHash(rawEventData);
 
-      if (existingRaw && existingRaw.status === 'normalized') {
-        await session.abortTransaction();
+    // Two tries: the event the insert collided with can be removed before it is read
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        // New events are inserted; failed or quarantined ones are queued again
+        const rawEvent = await RawEvent.findOneAndUpdate(
+          { contentHash: rawContentHash, status: { $in: ['failed', 'quarantined'] } },
+          {
+            $setOnInsert: this._rawFields(rawEventData, rawContentHash),
+            $set: { status: 'pending', availableAt: new Date(), queueClaims: 0 },
+            $unset: { processingResult: 1, leaseOwner: 1, leaseExpiresAt: 1 }
+          },
+          { upsert: true, new: true }
+        );
+
+        return {
+          success: true,
+          queued: true,
+          message: 'Event queued for processing',
+          eventId: rawEvent._id
+        };
+      } catch (error) {
+        if (this._isIdempotencyKeyConflict(error)) {
+          return this._idempotencyConflict(rawEventData);
+        }
+        if (!this._isDuplicateKeyError(error, 'contentHash')) throw error;
+      }
+
+      // The unique contentHash index rejected the insert: the event is settled or in flight
+      const existing = await RawEvent.findOne({ contentHash: rawContentHash }).select('status').lean();
+      if (!existing) continue;
+
+      if (SETTLED_STATUSES.includes(existing.status)) {
         return {
           success: false,
           reason: 'duplicate',
           message: 'Event already processed',
-          eventId: existingRaw._id
+          eventId: existing._id
         };
       }
 
-      // Step 3: Create or update raw event record
-      let rawEvent = await RawEvent.findOneAndUpdate(
-        { contentHash: rawContentHash },
-        {
-          $setOnInsert: {
-            source: rawEventData.source,
-            payload: rawEventData.payload,
-            contentHash: rawContentHash,
-            status: 'processing'
-          }
-        },
-        { 
-          upsert: true, 
-          new: true,
-          session 
-        }
+      return {
+        success: true,
+        queued: true,
+        message: 'Event is already queued for processing',
+        eventId: existing._id
+      };
+    }
+    throw new Error('Could not queue the event: a conflicting raw event was removed while it was being queued');
+  }
+
+  /**
+   * Process a raw event claimed from the queue
+   * @param {Object} rawEvent - Stored raw event
+   * @param {string} leaseOwner - Worker holding the event's lease
+   * @returns {Object} Processing result
+   */
+  async processQueued(rawEvent, leaseOwner) {
+    const session = await mongoose.startSession();
+
+    try {
+      return await this._processInOwnTransaction(this._rawEventData(rawEvent), session, { leaseOwner });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Settle a quarantined raw event after manual review
+   * @param {string} rawEventId - ID of the quarantined raw event
+   * @param {string} decision - 'accept' to normalize it anyway, 'reject' to mark it failed
+   * @returns {Object|null} Processing result, or null if no quarantined event has this ID
+   */
+  async reviewQuarantined(rawEventId, decision) {
+    const rawEvent = await RawEvent.findOne({ _id: rawEventId, status: 'quarantined' }).lean();
+    if (!rawEvent) return null;
+
+    if (decision === 'reject') {
+      await RawEvent.updateOne(
+        { _id: rawEvent._id, status: 'quarantined' },
+        { status: 'failed', errorMessage: 'Rejected during quarantine review' }
+      );
+      const rejected = {
+        success: false,
+        reason: 'validation_error',
+        message: 'Rejected during quarantine review',
+        eventId: rawEvent._id
+      };
+      webhooks.notify(this._rawEventData(rawEvent), rejected);
+      return rejected;
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      // Quarantine-level violations are kept as warnings; reject rules still apply
+      return await this._processInOwnTransaction(
+        this._rawEventData(rawEvent),
+        session,
+        { acceptQuarantined: true }
       );
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Replay a single failed raw event from the dead-letter queue
+   * @param {string} rawEventId - ID of the failed raw event
+   * @returns {Object|null} Processing result, or null if no failed event has this ID
+   */
+  async retryEvent(rawEventId) {
+    const rawEvent = await RawEvent.findOne({ _id: rawEventId, status: 'failed' }).lean();
+    if (!rawEvent) return null;
+
+    const session = await mongoose.startSession();
+
+    try {
+      return await this._retryWithSession(rawEvent, session);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Replay failed raw events matching a filter, oldest first
+   * @param {Object} filter - { source, errorMessage (case-insensitive substring), startDate, endDate }
+   * @param {Object} options - { limit }
+   * @returns {Object} { matched, results: [{ rawEventId, ...result }] }
+   */
+  async retryFailed(filter = {}, options = {}) {
+    const limit = Math.min(parseInt(options.limit || '100', 10), MAX_BULK_RETRY);
+
+    // Events that have used up their attempts stay in the dead-letter queue.
+    // Events stored before attempts were counted have no attempts field.
+    const query = {
+      status: 'failed',
+      $or: [{ attempts: { $exists: false } }, { attempts: { $lt: this.maxAttempts } }]
+    };
+    if (filter.source) query.source = filter.source;
+    if (filter.errorMessage) {
+      const escaped = filter.errorMessage.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.errorMessage = { $regex: escaped, $options: 'i' };
+    }
+    if (filter.startDate || filter.endDate) {
+      query.receivedAt = {};
+      if (filter.startDate) query.receivedAt.$gte = new Date(filter.startDate);
+      if (filter.endDate) query.receivedAt.$lte = new Date(filter.endDate);
+    }
+
+    const rawEvents = await RawEvent.find(query).sort({ receivedAt: 1 }).limit(limit).lean();
+    const session = await mongoose.startSession();
 
-      // Step 4: Normalize the event
-      const normalized = normalizer.normalize(rawEventData);
-      
-      if (normalized.error) {
-        await RawEvent.findByIdAndUpdate(
-          rawEvent._id,
-          { status: 'failed', errorMessage: normalized.error },
-          { session }
+    try {
+      const results = [];
+      for (const rawEvent of rawEvents) {
+        const result = await this._retryWithSession(rawEvent, session);
+        results.push({ rawEventId: rawEvent._id, ...result });
+      }
+      return { matched: rawEvents.length, results };
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  async _retryWithSession(rawEvent, session) {
+    if ((rawEvent.attempts || 0) >= this.maxAttempts) {
+      return {
+        success: false,
+        reason: 'processing_error',
+        message: `Maximum attempts (${this.maxAttempts}) exceeded`,
+        eventId: rawEvent._id,
+        attempts: rawEvent.attempts
+      };
+    }
+
+    return this._processInOwnTransaction(this._rawEventData(rawEvent), session);
+  }
+
+  /**
+   * Process a batch of raw events, reusing a single session
+   * @param {Array} items - Raw events ({ source, payload }) from client
+   * @param {Object} options - { atomic: roll back every item if any item fails,
+   *   faults: injection points to fail once in an atomic batch (testing) }
+   * @returns {Array} Per-item processing results, in input order
+   */
+  async processBatch(items, options = {}) {
+    const session = await mongoose.startSession();
+
+    try {
+      if (options.atomic) {
+        return await this._processAtomicBatch(items, session, { faults: new Set(options.faults || []) });
+      }
+
+      const results = [];
+      for (const item of items) {
+        // Each item gets its own transaction so one bad item can't fail the batch
+        results.push(await this._processInOwnTransaction(item, session));
+      }
+      return results;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Claim the raw event, then run the processing steps inside its own transaction
+   * @param {Object} options - { leaseOwner: caller already holds the event's lease, ... }
+   */
+  async _processInOwnTransaction(rawEventData, session, options = {}) {
+    const leaseOwner = options.leaseOwner || crypto.randomUUID();
+
+    let claim;
+    try {
+      claim = await this._claimRawEvent(rawEventData, leaseOwner);
+    } catch (error) {
+      return {
+        success: false,
+        reason: 'processing_error',
+        message: error.message,
+        error: error.toString()
+      };
+    }
+    if (claim.result) return claim.result;
+
+    const retryState = { retries: 0 };
+    let result;
+    for (;;) {
+      result = await this._runClaimedTransaction(rawEventData, session, { ...options, leaseOwner }, retryState);
+      if (!result.error || result.committed || !this._isRetryableError(result.error) ||
+          retryState.retries >= this.maxTransactionRetries) {
+        break;
+      }
+      retryState.retries++;
+      await this._backoff(retryState.retries);
+    }
+    const { retries } = retryState;
+
+    if (result.error) {
+      const { error } = result;
+      // Retries ran out on an error Mongo reports as temporary: queue the event
+      // for the worker pool instead of sending it to the dead-letter queue
+      const transient = this._isTransientError(error);
+
+      // Record the failed attempt outside the aborted transaction
+      try {
+        await RawEvent.updateOne(
+          { _id: claim.rawEvent._id, leaseOwner, status: 'processing' },
+          {
+            $set: transient
+              ? {
+                status: 'pending',
+                availableAt: new Date(Date.now() + this._backoffDelay(retries + 1)),
+                errorMessage: error.message
+              }
+              : { status: 'failed', errorMessage: error.message },
+            $inc: retries > 0 ? { attempts: 1, transactionRetries: retries } : { attempts: 1 },
+            $push: this._attemptEntry(transient ? 'transient_error' : 'processing_error', error.message)
+          }
         );
+      } catch (updateError) {
+        console.error('Failed to update raw event status:', updateError);
+      }
+
+      const failure = {
+        success: false,
+        reason: 'processing_error',
+        message: error.message,
+        error: error.toString(),
+        eventId: claim.rawEvent._id
+      };
+      if (transient) failure.transient = true;
+      if (retries > 0) failure.transactionRetries = retries;
+      // Subscribers hear what was stored, even when the request failed after the commit
+      webhooks.notify(rawEventData, result.committed ? result.value : failure);
+      return failure;
+    }
+
+    let outcome = result.value;
+    if (retries > 0) {
+      await this._recordTransactionRetries([claim.rawEvent._id], retries);
+      outcome = { ...result.value, transactionRetries: retries };
+    }
+    // Queued for delivery in the background; never awaited
+    webhooks.notify(rawEventData, outcome);
+    return outcome;
+  }
+
+  /**
+   * One transaction over the processing steps of a claimed event
+   * @returns {Object} { value } on commit, { error } after a rollback, or
+   *   { error, committed, value } for an error after the commit
+   */
+  async _runClaimedTransaction(rawEventData, session, options, retryState) {
+    session.startTransaction();
+    let value;
+    let committed = false;
+
+    try {
+      value = await this._processSteps(rawEventData, session, options);
+
+      // Commit transaction (all or nothing)
+      await this._commitWithRetry(session, retryState, options.faults);
+      committed = true;
+      await faultInjector.inject('after_commit', options.faults);
+      return { value };
+
+    } catch (error) {
+      // Rollback on any error
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      // The event is stored; only what came after the commit failed
+      return committed ? { error, committed, value } : { error };
+    }
+  }
+
+  /**
+   * Commit, retrying commits whose outcome Mongo couldn't confirm
+   */
+  async _commitWithRetry(session, retryState, faults) {
+    for (;;) {
+      try {
+        await faultInjector.inject('during_commit', faults);
         await session.commitTransaction();
-        return {
-          success: false,
-          reason: 'validation_error',
-          message: normalized.error,
-          eventId: rawEvent._id
-        };
+        return;
+      } catch (error) {
+        if (!this._hasErrorLabel(error, 'UnknownTransactionCommitResult') ||
+            retryState.retries >= this.maxTransactionRetries) {
+          throw error;
+        }
+        retryState.retries++;
+        await this._backoff(retryState.retries);
       }
+    }
+  }
 
-      // Step 5: Check for duplicate normalized event (idempotency)
-      const existingNormalized = await NormalizedEvent.findOne({
-        normalizedHash: normalized.normalizedHash
-      }).session(session);
+  /**
+   * Errors after which rerunning the whole transaction is safe: transient
+   * errors, a semantic duplicate committed concurrently (the rerun sees it
+   * and reports a duplicate), and a rollup created concurrently (the rerun
+   * updates it)
+   */
+  _isRetryableError(error) {
+    return this._hasErrorLabel(error, 'TransientTransactionError') ||
+      this._isDuplicateKeyError(error, 'normalizedHash') ||
+      this._isDuplicateKeyError(error, 'bucket');
+  }
+
+  _isTransientError(error) {
+    return this._hasErrorLabel(error, 'TransientTransactionError') ||
+      this._hasErrorLabel(error, 'UnknownTransactionCommitResult');
+  }
+
+  _hasErrorLabel(error, label) {
+    return Boolean(error) && typeof error.hasErrorLabel === 'function' && error.hasErrorLabel(label);
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   */
+  _backoffDelay(attempt) {
+    const ceiling = Math.min(TRANSACTION_RETRY_MAX_MS, TRANSACTION_RETRY_BASE_MS * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * ceiling);
+  }
 
-      if (existingNormalized) {
-        // Update raw event status but don't create duplicate normalized event
-        await RawEvent.findByIdAndUpdate(
-          rawEvent._id,
-          { status: 'duplicate' },
-          { session }
+  _backoff(attempt) {
+    return new Promise(resolve => setTimeout(resolve, this._backoffDelay(attempt)));
+  }
+
+  /**
+   * Keep transaction retry counts on the raw events for the statistics
+   */
+  async _recordTransactionRetries(rawEventIds, retries) {
+    try {
+      await RawEvent.updateMany({ _id: { $in: rawEventIds } }, { $inc: { transactionRetries: retries } });
+    } catch (error) {
+      console.error('Failed to record transaction retries:', error);
+    }
+  }
+
+  /**
+   * Atomically take a raw event for processing, creating it if needed.
+   * Only one request or worker holds an event at a time; others wait for its
+   * outcome for up to IN_PROGRESS_WAIT_MS.
+   * @returns {Object} { rawEvent } once claimed, or { result } to return instead
+   */
+  async _claimRawEvent(rawEventData, leaseOwner) {
+    const rawContentHash = this._generateRawHash(rawEventData);
+    const waitUntil = Date.now() + IN_PROGRESS_WAIT_MS;
+
+    for (;;) {
+      const now = new Date();
+      try {
+        const rawEvent = await RawEvent.findOneAndUpdate(
+          {
+            contentHash: rawContentHash,
+            $or: [
+              { status: { $in: CLAIMABLE_STATUSES } },
+              { status: 'processing', leaseOwner },
+              // The holder crashed or stalled
+              { status: 'processing', leaseExpiresAt: { $lt: now } }
+            ]
+          },
+          {
+            $setOnInsert: this._rawFields(rawEventData, rawContentHash),
+            $set: {
+              status: 'processing',
+              leaseOwner,
+              leaseExpiresAt: new Date(now.getTime() + this.leaseMs)
+            }
+          },
+          { upsert: true, new: true }
         );
-        await session.commitTransaction();
+        return { rawEvent };
+      } catch (error) {
+        if (this._isIdempotencyKeyConflict(error)) {
+          return { result: await this._idempotencyConflict(rawEventData) };
+        }
+        if (!this._isDuplicateKeyError(error, 'contentHash')) throw error;
+      }
+
+      // The unique contentHash index rejected the insert: someone else has the event
+      const existing = await RawEvent.findOne({ contentHash: rawContentHash }).select('status').lean();
+      if (!existing) continue;
+
+      if (SETTLED_STATUSES.includes(existing.status)) {
         return {
-          success: false,
-          reason: 'duplicate',
-          message: 'Normalized event already exists',
-          eventId: rawEvent._id,
-          normalizedEventId: existingNormalized._id
+          result: {
+            success: false,
+            reason: 'duplicate',
+            message: 'Event already processed',
+            eventId: existing._id
+          }
         };
       }
 
-      // Step 6: Simulate failure if requested (for testing)
-      if (simulateFailure) {
-        throw new Error('Simulated database failure');
+      if (Date.now() >= waitUntil) {
+        return {
+          result: {
+            success: false,
+            reason: 'in_progress',
+            message: 'An identical event is still being processed',
+            eventId: existing._id
+          }
+        };
       }
 
-      // Step 7: Save normalized event (within transaction)
-      const normalizedEvent = new NormalizedEvent({
-        ...normalized,
-        rawEventId: rawEvent._id
-      });
-      await normalizedEvent.save({ session });
+      await new Promise(resolve => setTimeout(resolve, IN_PROGRESS_POLL_MS));
+    }
+  }
+
+  /**
+   * Result for a keyed request that lost the race for its Idempotency-Key to
+   * a concurrent request with a different body
+   */
+  async _idempotencyConflict(rawEventData) {
+    const holder = await RawEvent.findOne({
+      source: rawEventData.source,
+      idempotencyKey: rawEventData.idempotencyKey
+    }).select('_id').lean();
+
+    return {
+      success: false,
+      reason: 'idempotency_conflict',
+      message: 'Idempotency-Key has already been used with a different request body',
+      eventId: holder ? holder._id : null
+    };
+  }
+
+  /**
+   * Whether an insert was rejected by the (source, idempotencyKey) index
+   */
+  _isIdempotencyKeyConflict(error) {
+    return Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.idempotencyKey);
+  }
+
+  /**
+   * Whether an error is a unique index violation, optionally on a given field
+   */
+  _isDuplicateKeyError(error, field) {
+    if (!error || error.code !== 11000) return false;
+    return !field || !error.keyPattern || Object.prototype.hasOwnProperty.call(error.keyPattern, field);
+  }
+
+  /**
+   * Run every item of a batch inside one transaction.
+   * Duplicates are accepted; any validation or processing error rolls back the whole batch.
+   */
+  async _processAtomicBatch(items, session, options = {}) {
+    const retryState = { retries: 0 };
+    let results;
+    let failedIndex;
+    let committed = false;
+
+    for (;;) {
+      session.startTransaction();
+      results = [];
+      failedIndex = -1;
+
+      try {
+        for (let i = 0; i < items.length; i++) {
+          const result = await this._processSteps(items[i], session);
+          results.push(result);
+          if (!result.success && result.reason !== 'duplicate') {
+            failedIndex = i;
+            break;
+          }
+        }
+
+        if (failedIndex === -1) {
+          await this._commitWithRetry(session, retryState, options.faults);
+          committed = true;
+        }
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+        // Transient errors rerun the whole batch
+        if (this._isRetryableError(error) && retryState.retries < this.maxTransactionRetries) {
+          retryState.retries++;
+          await this._backoff(retryState.retries);
+          continue;
+        }
+
+        failedIndex = results.length;
+        results.push({
+          success: false,
+          reason: 'processing_error',
+          message: error.message,
+          error: error.toString()
+        });
+        if (this._isTransientError(error)) {
+          results[failedIndex].transient = true;
+        }
+      }
+      break;
+    }
+
+    if (committed) {
+      items.forEach((item, i) => webhooks.notify(item, results[i]));
+      // Outside the rollback and retry path: the batch is stored whatever happens now
+      try {
+        await faultInjector.inject('after_commit', options.faults);
+      } catch (error) {
+        console.error('Error after committing atomic batch:', error);
+      }
+      return this._withTransactionRetries(results, retryState.retries);
+    }
+
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+
+    // Nothing was persisted, so every other item is reported as rolled back
+    const failure = results[failedIndex];
+    return items.map((item, i) => {
+      if (i === failedIndex) {
+        return { ...failure, eventId: undefined, normalizedEventId: undefined };
+      }
+      return {
+        success: false,
+        reason: 'processing_error',
+        message: `Batch rolled back: item ${failedIndex} failed (${failure.reason})`,
+        rolledBack: true
+      };
+    }).map(result => (retryState.retries > 0 ? { ...result, transactionRetries: retryState.retries } : result));
+  }
+
+  /**
+   * Record and report the transaction retries of a committed atomic batch
+   */
+  async _withTransactionRetries(results, retries) {
+    if (retries === 0) return results;
+
+    const rawEventIds = results.map(result => result.rawEventId || result.eventId).filter(Boolean);
+    await this._recordTransactionRetries(rawEventIds, retries);
+    return results.map(result => ({ ...result, transactionRetries: retries }));
+  }
+
+  /**
+   * Processing steps for a single event within an active transaction.
+   * The caller owns the transaction and decides whether to commit or abort.
+   * @param {Object} options - { faults, acceptQuarantined, leaseOwner }
+   */
+  async _processSteps(rawEventData, session, options = {}) {
+    // Step 1: Generate content hash for raw event deduplication
+    const rawContentHash = this._generateRawHash(rawEventData);
+
+    // Step 2: Check if we've already processed this exact raw event
+    const existingRaw = await RawEvent.findOne({ 
+      contentHash: rawContentHash,
+      status: { $in: [...SETTLED_STATUSES, 'processing'] }
+    }).session(session);
 
-      // Step 8: Update raw event status
+    if (existingRaw && SETTLED_STATUSES.includes(existingRaw.status)) {
+      return {
+        success: false,
+        reason: 'duplicate',
+        message: 'Event already processed',
+        eventId: existingRaw._id
+      };
+    }
+
+    // Held by another request or worker (only reachable in atomic batches,
+    // which don't claim events before their transaction)
+    if (existingRaw && existingRaw.leaseOwner !== options.leaseOwner &&
+        existingRaw.leaseExpiresAt && existingRaw.leaseExpiresAt > new Date()) {
+      return {
+        success: false,
+        reason: 'in_progress',
+        message: 'An identical event is still being processed',
+        eventId: existingRaw._id
+      };
+    }
+
+    await faultInjector.inject('before_raw_upsert', options.faults);
+
+    // Step 3: Create or update raw event record
+    // An existing (e.g. failed) record is reset to processing and its attempt counted
+    let rawEvent = await RawEvent.findOneAndUpdate(
+      { contentHash: rawContentHash },
+      {
+        $setOnInsert: this._rawFields(rawEventData, rawContentHash),
+        $set: { status: 'processing' },
+        $inc: { attempts: 1 }
+      },
+      { 
+        upsert: true, 
+        new: true,
+        session 
+      }
+    );
+
+    await faultInjector.inject('after_raw_upsert', options.faults);
+
+    // Step 4: Normalize the event
+    const normalized = normalizer.normalize({ ...rawEventData, rawEventId: rawEvent._id });
+    
+    if (normalized.error) {
       await RawEvent.findByIdAndUpdate(
         rawEvent._id,
-        { status: 'normalized' },
+        {
+          status: 'failed',
+          errorMessage: normalized.error,
+          $push: this._attemptEntry('validation_error', normalized.error)
+        },
         { session }
       );
+      return {
+        success: false,
+        reason: 'validation_error',
+        message: normalized.error,
+        eventId: rawEvent._id
+      };
+    }
 
-      // Step 9: Commit transaction (all or nothing)
-      await session.commitTransaction();
+    // Step 5: Apply the source's validation rules
+    const validation = validator.validate(normalized);
+    const issuesOf = (action) => validation.violations.filter(violation => violation.action === action);
 
+    if (validation.action === 'reject') {
+      const message = issuesOf('reject').map(violation => violation.message).join('; ');
+      await RawEvent.findByIdAndUpdate(
+        rawEvent._id,
+        {
+          status: 'failed',
+          errorMessage: message,
+          validationIssues: validation.violations,
+          $push: this._attemptEntry('validation_error', message)
+        },
+        { session }
+      );
       return {
-        success: true,
-        message: 'Event processed successfully',
-        rawEventId: rawEvent._id,
-        normalizedEventId: normalizedEvent._id,
-        normalizedData: normalized
+        success: false,
+        reason: 'validation_error',
+        message,
+        violations: validation.violations,
+        eventId: rawEvent._id
       };
+    }
 
-    } catch (error) {
-      // Rollback on any error
-      await session.abortTransaction();
-      
-      // Try to update raw event status if we have an ID
-      try {
-        const rawEvent = await RawEvent.findOne({ 
-          contentHash: this._generateRawHash(rawEventData) 
-        });
-        if (rawEvent) {
-          await RawEvent.findByIdAndUpdate(rawEvent._id, {
-            status: 'failed',
-            errorMessage: error.message
-          });
-        }
-      } catch (updateError) {
-        console.error('Failed to update raw event status:', updateError);
-      }
+    if (validation.action === 'quarantine' && !options.acceptQuarantined) {
+      const message = issuesOf('quarantine').map(violation => violation.message).join('; ');
+      await RawEvent.findByIdAndUpdate(
+        rawEvent._id,
+        { status: 'quarantined', errorMessage: message, validationIssues: validation.violations },
+        { session }
+      );
+      return {
+        success: false,
+        reason: 'quarantined',
+        message: `Event quarantined for review: ${message}`,
+        violations: validation.violations,
+        eventId: rawEvent._id
+      };
+    }
+
+    // Anything left is accepted; violations are kept as warnings
+    const warnings = validation.violations.map(({ rule, message }) => ({ rule, message }));
+
+    await faultInjector.inject('after_normalize', options.faults);
 
+    // Step 6: Check for duplicate normalized event using the source's dedup strategy
+    const existingNormalized = await this.findSemanticDuplicate(normalized, session);
+    const dedupDecision = this._dedupDecision(normalized, existingNormalized);
+
+    if (existingNormalized) {
+      // Update raw event status but don't create duplicate normalized event
+      await RawEvent.findByIdAndUpdate(
+        rawEvent._id,
+        { status: 'duplicate', dedupDecision },
+        { session }
+      );
       return {
         success: false,
-        reason: 'processing_error',
-        message: error.message,
-        error: error.toString()
+        reason: 'duplicate',
+        message: 'Normalized event already exists',
+        eventId: rawEvent._id,
+        normalizedEventId: existingNormalized._id,
+        dedup: dedupDecision
       };
-    } finally {
-      await session.endSession();
     }
+
+    // Step 7: Injected failure, if configured (for testing)
+    await faultInjector.inject('before_normalized_save', options.faults);
+
+    // Step 8: Save normalized event (within transaction)
+    const normalizedEvent = new NormalizedEvent({
+      ...normalized,
+      warnings,
+      rawEventId: rawEvent._id
+    });
+    await normalizedEvent.save({ session });
+
+    // Step 9: Add it to its aggregate rollup in the same transaction
+    await rollups.record(normalizedEvent, session);
+
+    await faultInjector.inject('after_normalized_save', options.faults);
+
+    // Step 10: Update raw event status
+    await RawEvent.findByIdAndUpdate(
+      rawEvent._id,
+      { status: 'normalized', validationIssues: validation.violations, dedupDecision },
+      { session }
+    );
+
+    const result = {
+      success: true,
+      message: 'Event processed successfully',
+      rawEventId: rawEvent._id,
+      normalizedEventId: normalizedEvent._id,
+      normalizedData: normalized
+    };
+    if (warnings.length > 0) {
+      result.warnings = warnings;
+    }
+    return result;
+  }
+
+  /**
+   * Find the normalized event the source's dedup strategy treats as the same reading
+   * @param {Object} normalized - Normalizer output, including dedupKey and dedup
+   * @param {Object} options - { excludeRawEventId: ignore the record of this raw event }
+   * @returns {Object|null} Matching normalized event ({ _id, rawEventId, timestamp })
+   */
+  async findSemanticDuplicate(normalized, session, options = {}) {
+    const { dedup, dedupKey, timestamp } = normalized;
+
+    let query = { normalizedHash: normalized.normalizedHash };
+    if (dedup.strategy === 'window' && timestamp) {
+      const windowMs = dedup.windowMinutes * 60 * 1000;
+      query = {
+        dedupKey,
+        timestamp: {
+          $gte: new Date(timestamp.getTime() - windowMs),
+          $lte: new Date(timestamp.getTime() + windowMs)
+        }
+      };
+    }
+    if (options.excludeRawEventId) {
+      query.rawEventId = { $ne: options.excludeRawEventId };
+    }
+
+    return NormalizedEvent.findOne(query)
+      .select('_id rawEventId timestamp')
+      .session(session || null)
+      .lean();
+  }
+
+  /**
+   * Audit record of a semantic duplicate check
+   */
+  _dedupDecision(normalized, match) {
+    return {
+      ...normalized.dedup,
+      duplicate: Boolean(match),
+      matchedEventId: match ? match._id : undefined,
+      decidedAt: new Date()
+    };
+  }
+
+  /**
+   * Fields written when a raw event record is first created
+   */
+  _rawFields(rawEventData, rawContentHash) {
+    const rawFields = {
+      source: rawEventData.source,
+      payload: rawEventData.payload,
+      contentHash: rawContentHash
+    };
+    if (rawEventData.idempotencyKey) {
+      rawFields.idempotencyKey = rawEventData.idempotencyKey;
+      rawFields.requestHash = idempotency.hashRequest(rawEventData.source, rawEventData.payload);
+    }
+    return rawFields;
+  }
+
+  /**
+   * Rebuild the processing input from a stored raw event. It carries the
+   * stored content hash, which no longer matches the content once an
+   * idempotency key has been released.
+   */
+  _rawEventData(rawEvent) {
+    return {
+      source: rawEvent.source,
+      payload: rawEvent.payload,
+      idempotencyKey: rawEvent.idempotencyKey || rawEvent.releasedIdempotencyKey,
+      contentHash: rawEvent.contentHash
+    };
+  }
+
+  /**
+   * $push update recording a failed attempt, keeping the most recent entries
+   */
+  _attemptEntry(reason, error) {
+    return {
+      attemptHistory: {
+        $each: [{ at: new Date(), reason, error }],
+        $slice: -ATTEMPT_HISTORY_LIMIT
+      }
+    };
   }
 
   /**
    * Generate hash for raw event content
+   * Keyed requests include the Idempotency-Key, so identical readings sent
+   * under different keys are stored as separate raw events
    */
   _generateRawHash(rawEventData) {
-    const hashInput = JSON.stringify({
+    // Stored events keep the hash they were saved with
+    if (rawEventData.contentHash) return rawEventData.contentHash;
+
+    const hashFields = {
       source: rawEventData.source,
       payload: rawEventData.payload
-    });
+    };
+    if (rawEventData.idempotencyKey) {
+      hashFields.idempotencyKey = rawEventData.idempotencyKey;
+    }
+    const hashInput = JSON.stringify(hashFields);
     return crypto.createHash('sha256').update(hashInput).digest('hex');
   }
 
@@ -175,14 +967,27 @@ class EventProcessor {
       RawEvent.countDocuments({ status: 'normalized' }),
       RawEvent.countDocuments({ status: 'failed' }),
       RawEvent.countDocuments({ status: 'duplicate' }),
-      NormalizedEvent.countDocuments()
+      NormalizedEvent.countDocuments(),
+      RawEvent.countDocuments({ status: 'quarantined' }),
+      RawEvent.countDocuments({ status: 'failed', attempts: { $gte: this.maxAttempts } }),
+      RawEvent.countDocuments({ status: 'pending' }),
+      RawEvent.aggregate([
+        { $match: { transactionRetries: { $gt: 0 } } },
+        { $group: { _id: null, events: { $sum: 1 }, retries: { $sum: '$transactionRetries' } } }
+      ])
     ]);
+    const [transactionRetries = { events: 0, retries: 0 }] = stats[7];
 
     return {
       totalProcessed: stats[0],
       totalFailed: stats[1],
       totalDuplicates: stats[2],
-      totalNormalized: stats[3]
+      totalNormalized: stats[3],
+      totalQuarantined: stats[4],
+      totalRetriesExhausted: stats[5],
+      totalPending: stats[6],
+      totalTransactionRetries: transactionRetries.retries,
+      totalEventsRetriedTransactions: transactionRetries.events
     };
   }
 }
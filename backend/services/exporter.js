@@ -0,0 +1,169 @@
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Columns exported when none are chosen
+const DEFAULT_COLUMNS = {
+  raw: ['_id', 'source', 'status', 'receivedAt', 'attempts', 'errorMessage', 'contentHash', 'payload'],
+  normalized: [
+    '_id', 'client_id', 'metric', 'amount', 'currency', 'timestamp', 'attributes',
+    'mappingVersion', 'rawEventId', 'processedAt'
+  ]
+};
+
+// Column names are field paths such as payload.amount or attributes.region
+const COLUMN_PATH = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+const MAX_COLUMNS = 100;
+
+// Documents read from MongoDB per round trip
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE || '500', 10);
+
+/**
+ * Export Service
+ * Writes documents from a cursor as CSV or NDJSON, one row at a time, so
+ * memory use doesn't grow with the size of the export
+ */
+class Exporter {
+  constructor() {
+    this.batchSize = EXPORT_BATCH_SIZE;
+  }
+
+  /**
+   * Validate the format and column selection
+   * @param {string|Array} columns - Array or comma-separated list of field paths
+   * @returns {Object} { format, columns } (columns null for the defaults) or { error }
+   */
+  resolveOptions({ format = 'csv', columns }) {
+    if (!FORMATS[format]) {
+      return { error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` };
+    }
+    if (columns === undefined) return { format, columns: null };
+
+    const names = (Array.isArray(columns) ? columns : String(columns).split(','))
+      .map(name => String(name).trim())
+      .filter(Boolean);
+    if (names.length === 0 || names.length > MAX_COLUMNS) {
+      return { error: `columns must list between 1 and ${MAX_COLUMNS} fields` };
+    }
+    const invalid = names.find(name => !COLUMN_PATH.test(name));
+    if (invalid) {
+      return { error: `Invalid column "${invalid}". Use field paths such as payload.amount` };
+    }
+    return { format, columns: [...new Set(names)] };
+  }
+
+  defaultColumns(dataset) {
+    return DEFAULT_COLUMNS[dataset];
+  }
+
+  /**
+   * Stream rows to the response as a file download
+   * @param {Object} res - Express response
+   * @param {AsyncIterable} rows - Mongo cursor or any async iterable of documents
+   * @param {Object} options - { format, columns, filename }; CSV needs columns,
+   *   NDJSON without columns writes whole documents
+   * @returns {number} Rows written
+   */
+  async stream(res, rows, { format, columns, filename }) {
+    res.status(200);
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${filename}.${FORMATS[format].extension}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    // Stop reading when the client goes away
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    if (format === 'csv') {
+      await this._write(res, this._csvLine(columns) + '\n');
+    }
+
+    let count = 0;
+    for await (const row of rows) {
+      if (closed) break;
+      await this._write(res, this._formatRow(row, format, columns) + '\n');
+      count++;
+    }
+
+    if (typeof rows.close === 'function') {
+      await rows.close();
+    }
+    res.end();
+    return count;
+  }
+
+  /**
+   * Value at a dot-separated path
+   */
+  pick(doc, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+  }
+
+  /**
+   * Leaf field paths of rows with nested objects, in first-seen order.
+   * Arrays and dates count as leaves.
+   */
+  leafPaths(rows, exclude = []) {
+    const paths = new Set();
+    const visit = (value, prefix) => {
+      Object.entries(value).forEach(([key, child]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (exclude.includes(path)) return;
+        if (child && typeof child === 'object' && !Array.isArray(child) && !(child instanceof Date)) {
+          visit(child, path);
+        } else {
+          paths.add(path);
+        }
+      });
+    };
+    rows.forEach(row => visit(row, ''));
+    return [...paths];
+  }
+
+  _formatRow(row, format, columns) {
+    if (format === 'ndjson') {
+      // Without a column selection the whole document is written
+      if (!columns) return JSON.stringify(row);
+      const selected = Object.fromEntries(columns.map(column => [column, this.pick(row, column) ?? null]));
+      return JSON.stringify(selected);
+    }
+    return this._csvLine(columns.map(column => this._csvValue(this.pick(row, column))));
+  }
+
+  _csvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+      // ObjectIds print as their hex string; other objects and arrays as JSON
+      return value._bsontype === 'ObjectId' ? value.toString() : JSON.stringify(value);
+    }
+    const text = String(value);
+    // Keep spreadsheets from running text that looks like a formula
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  }
+
+  _csvLine(values) {
+    return values
+      .map(value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value))
+      .join(',');
+  }
+
+  // Respect backpressure so a slow client doesn't buffer the whole export
+  _write(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+}
+
+module.exports = new Exporter();
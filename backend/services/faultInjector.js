@@ -0,0 +1,211 @@
+// Named points in event processing where failures can be injected
+const INJECTION_POINTS = {
+  before_raw_upsert: 'Inside the transaction, before the raw event is written',
+  after_raw_upsert: 'After the raw event is written, before normalization',
+  after_normalize: 'After normalization and validation, before the duplicate check',
+  before_normalized_save: 'Before the normalized event is saved',
+  after_normalized_save: 'After the normalized event is saved, before the raw status update',
+  during_commit: 'In place of commitTransaction; the commit does not happen',
+  after_commit: 'After the transaction commits, before the result is returned',
+  before_response: 'In the ingestion route, after the result is recorded and before the response is sent'
+};
+
+// Error labels an injected error can carry, to exercise transaction retries
+const ERROR_LABELS = ['TransientTransactionError', 'UnknownTransactionCommitResult'];
+
+const EFFECTS = ['error', 'delay'];
+
+// Thrown at an injection point
+class FaultInjectionError extends Error {
+  constructor(message, errorLabel) {
+    super(message);
+    this.name = 'FaultInjectionError';
+    this.errorLabels = errorLabel ? [errorLabel] : [];
+  }
+
+  // Same check as MongoError, so injected errors go through the retry logic
+  hasErrorLabel(label) {
+    return this.errorLabels.includes(label);
+  }
+}
+
+/**
+ * Fault Injection Service
+ * Fails or delays event processing at named points, configured through the
+ * admin API, the FAULT_INJECTION environment variable, or per request
+ */
+class FaultInjector {
+  constructor() {
+    // Format: { point: { config, calls, fires } }
+    this.faults = {};
+    // Off unless FAULT_INJECTION_ENABLED=true; while off, nothing is injected
+    // and the admin API and per-request faults are unavailable
+    this.enabled = process.env.FAULT_INJECTION_ENABLED === 'true';
+    if (this.enabled) {
+      this._loadFromEnv(process.env.FAULT_INJECTION);
+    } else if (process.env.FAULT_INJECTION) {
+      console.error('Ignoring FAULT_INJECTION: set FAULT_INJECTION_ENABLED=true to use it');
+    }
+  }
+
+  /**
+   * Names and descriptions of every injection point
+   */
+  getPoints() {
+    return Object.entries(INJECTION_POINTS).map(([name, description]) => ({ name, description }));
+  }
+
+  isPoint(name) {
+    return Object.prototype.hasOwnProperty.call(INJECTION_POINTS, name);
+  }
+
+  /**
+   * Every injection point with its configuration and counters
+   */
+  list() {
+    return this.getPoints().map(point => {
+      const fault = this.faults[point.name];
+      return {
+        ...point,
+        enabled: Boolean(fault),
+        config: fault ? fault.config : null,
+        calls: fault ? fault.calls : 0,
+        fires: fault ? fault.fires : 0
+      };
+    });
+  }
+
+  /**
+   * Turn on a fault at a point, replacing any previous configuration
+   * @param {Object} config - { probability | everyNth, effect, delayMs, errorLabel, message, maxFires }
+   */
+  configure(point, config) {
+    const effect = config.effect || 'error';
+    const stored = { effect };
+    ['probability', 'everyNth', 'maxFires', 'message'].forEach(key => {
+      if (config[key] !== undefined) stored[key] = config[key];
+    });
+    if (effect === 'delay') stored.delayMs = config.delayMs;
+    if (effect === 'error' && config.errorLabel) stored.errorLabel = config.errorLabel;
+
+    this.faults[point] = { config: stored, calls: 0, fires: 0 };
+    return this.list().find(entry => entry.name === point);
+  }
+
+  /**
+   * Turn off the fault at a point
+   * @returns {boolean} Whether a fault was configured
+   */
+  clear(point) {
+    const existed = Boolean(this.faults[point]);
+    delete this.faults[point];
+    return existed;
+  }
+
+  clearAll() {
+    this.faults = {};
+  }
+
+  /**
+   * Validate a fault configuration
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return 'Fault configuration must be an object';
+    }
+
+    const hasProbability = config.probability !== undefined;
+    const hasNth = config.everyNth !== undefined;
+    if (hasProbability === hasNth) {
+      return 'Give exactly one trigger: "probability" (0-1) or "everyNth" (fire on every nth call)';
+    }
+    if (hasProbability && (typeof config.probability !== 'number' || !(config.probability > 0) || config.probability > 1)) {
+      return '"probability" must be a number greater than 0 and at most 1';
+    }
+    if (hasNth && (!Number.isInteger(config.everyNth) || config.everyNth < 1)) {
+      return '"everyNth" must be a positive integer';
+    }
+    if (config.maxFires !== undefined && (!Number.isInteger(config.maxFires) || config.maxFires < 1)) {
+      return '"maxFires" must be a positive integer';
+    }
+
+    const effect = config.effect || 'error';
+    if (!EFFECTS.includes(effect)) {
+      return `"effect" must be one of: ${EFFECTS.join(', ')}`;
+    }
+    if (effect === 'delay' && (!Number.isInteger(config.delayMs) || config.delayMs < 1)) {
+      return 'A delay needs "delayMs" as a positive integer';
+    }
+    if (config.errorLabel !== undefined && !ERROR_LABELS.includes(config.errorLabel)) {
+      return `"errorLabel" must be one of: ${ERROR_LABELS.join(', ')}`;
+    }
+    if (config.message !== undefined && typeof config.message !== 'string') {
+      return '"message" must be a string';
+    }
+
+    return null;
+  }
+
+  /**
+   * Fire the fault configured at a point, if it triggers
+   * @param {Set} requestFaults - Points requested for a single request; each fires
+   *   once with an error and is then removed from the set
+   */
+  async inject(point, requestFaults) {
+    if (!this.enabled) return;
+
+    if (requestFaults && requestFaults.has(point)) {
+      requestFaults.delete(point);
+      throw new FaultInjectionError(`Injected failure at ${point}`);
+    }
+
+    const fault = this.faults[point];
+    if (!fault) return;
+
+    fault.calls++;
+    const { config } = fault;
+    if (config.maxFires && fault.fires >= config.maxFires) return;
+
+    const triggered = config.everyNth
+      ? fault.calls % config.everyNth === 0
+      : Math.random() < config.probability;
+    if (!triggered) return;
+
+    fault.fires++;
+    if (config.effect === 'delay') {
+      await new Promise(resolve => setTimeout(resolve, config.delayMs));
+      return;
+    }
+    throw new FaultInjectionError(config.message || `Injected failure at ${point}`, config.errorLabel);
+  }
+
+  /**
+   * Read faults from JSON: { "after_raw_upsert": { "probability": 0.1 }, ... }
+   */
+  _loadFromEnv(value) {
+    if (!value) return;
+
+    let faults;
+    try {
+      faults = JSON.parse(value);
+    } catch (error) {
+      console.error(`Ignoring FAULT_INJECTION: invalid JSON (${error.message})`);
+      return;
+    }
+
+    for (const [point, config] of Object.entries(faults || {})) {
+      const error = this.isPoint(point)
+        ? this.validateConfig(config)
+        : `unknown injection point "${point}"`;
+      if (error) {
+        console.error(`Ignoring FAULT_INJECTION for ${point}: ${error}`);
+        continue;
+      }
+      this.configure(point, config);
+      console.warn(`Fault injection enabled at ${point}`);
+    }
+  }
+}
+
+module.exports = new FaultInjector();
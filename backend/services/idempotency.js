@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { RawEvent } = require('../models/Event');
+
+// How long a stored response is replayed for repeat requests with the same key
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS || '24');
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency Service
+ * Replays the original response for requests carrying an Idempotency-Key header
+ */
+class IdempotencyService {
+  constructor() {
+    this.ttlMs = IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000;
+  }
+
+  /**
+   * Validate the format of a client-supplied key
+   * @returns {string|null} Error message, or null if the key is acceptable
+   */
+  validateKey(key) {
+    if (typeof key !== 'string' || key.trim() === '') {
+      return 'Idempotency-Key must be a non-empty string';
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      return `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Hash of the request body, independent of the idempotency key
+   */
+  hashRequest(source, payload) {
+    const hashInput = JSON.stringify({ source, payload });
+    return crypto.createHash('sha256').update(hashInput).digest('hex');
+  }
+
+  /**
+   * Look up an earlier request made with the same key. A key is held for
+   * IDEMPOTENCY_TTL_HOURS after its response was recorded (or after its first
+   * use, if no response was); after that it is released and can be reused.
+   * @returns {Object|null} { conflict: true } if the key was used with a different body,
+   *   { response } if a stored response can be replayed, or null to process normally
+   */
+  async findPrevious(source, key, payload) {
+    const rawEvent = await RawEvent.findOne({ source, idempotencyKey: key })
+      .select('requestHash idempotentResponse idempotencyExpiresAt createdAt contentHash')
+      .lean();
+
+    if (!rawEvent) {
+      return null;
+    }
+
+    const expiresAt = rawEvent.idempotencyExpiresAt ||
+      new Date(new Date(rawEvent.createdAt).getTime() + this.ttlMs);
+    if (expiresAt <= new Date()) {
+      await this.release(rawEvent, key);
+      return null;
+    }
+
+    if (rawEvent.requestHash !== this.hashRequest(source, payload)) {
+      return { conflict: true, eventId: rawEvent._id };
+    }
+
+    const response = rawEvent.idempotentResponse;
+    if (response && response.statusCode) {
+      return { response };
+    }
+
+    return null;
+  }
+
+  /**
+   * Detach an expired key from its raw event so that it can be used again.
+   * The event is kept, but its content hash (which includes the key) is made
+   * its own so a new request with the same key and body isn't taken for it.
+   */
+  async release(rawEvent, key) {
+    await RawEvent.updateOne(
+      { _id: rawEvent._id, idempotencyKey: key },
+      {
+        $rename: { idempotencyKey: 'releasedIdempotencyKey' },
+        $set: { contentHash: `${rawEvent.contentHash}:${rawEvent._id}` },
+        $unset: { requestHash: 1, idempotentResponse: 1, idempotencyExpiresAt: 1 }
+      }
+    );
+  }
+
+  /**
+   * Store the response sent for a keyed request so that retries can replay it.
+   * An already recorded response is never overwritten.
+   */
+  async recordResponse(rawEventId, key, statusCode, body) {
+    if (!rawEventId) return;
+
+    await RawEvent.updateOne(
+      {
+        _id: rawEventId,
+        idempotencyKey: key,
+        'idempotentResponse.statusCode': { $exists: false }
+      },
+      {
+        $set: {
+          idempotentResponse: { statusCode, body },
+          idempotencyExpiresAt: new Date(Date.now() + this.ttlMs)
+        }
+      }
+    );
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,275 @@
+const csvParser = require('./csvParser');
+const eventProcessor = require('./eventProcessor');
+const mappingStore = require('./mappingStore');
+const normalizer = require('./normalizer');
+
+// How the columns of an uploaded file become payload fields
+const MAPPING_MODES = ['columns', 'saved'];
+
+// Payload fields are dot-separated paths such as reading.amount
+const PAYLOAD_PATH = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+// Path segments that would reach an object's prototype
+const RESERVED_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+// Upper bound on the number of data rows accepted by a single import
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS || '5000', 10);
+
+const PREVIEW_ROWS = 10;
+const MAX_PREVIEW_ROWS = 100;
+
+/**
+ * Set an own property, even for keys such as __proto__ that plain assignment
+ * would treat as the object's prototype
+ */
+function setOwn(target, key, value) {
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Import Service
+ * Turns the rows of an uploaded CSV file into event payloads and sends each
+ * one through the event processor
+ */
+class Importer {
+  constructor() {
+    this.maxRows = MAX_IMPORT_ROWS;
+  }
+
+  /**
+   * Validate the upload fields shared by preview and import
+   * @param {Object} fields - { source, delimiter, mapping, columnMap } from the form;
+   *   columnMap is a JSON object of column name → payload field path. Without
+   *   one, each column becomes the payload field of the same name.
+   * @returns {Object} { source, delimiter, mapping, columnMap } or { error }
+   */
+  resolveOptions({ source, delimiter, mapping, columnMap }) {
+    if (!source || typeof source !== 'string' || !source.trim()) {
+      return { error: 'Missing required field: source' };
+    }
+
+    let parsedMap = null;
+    if (columnMap !== undefined && columnMap !== '') {
+      try {
+        parsedMap = typeof columnMap === 'string' ? JSON.parse(columnMap) : columnMap;
+      } catch (error) {
+        return { error: 'columnMap must be a JSON object of column name to payload field' };
+      }
+      if (!parsedMap || typeof parsedMap !== 'object' || Array.isArray(parsedMap)) {
+        return { error: 'columnMap must be a JSON object of column name to payload field' };
+      }
+      const invalid = Object.entries(parsedMap).find(([, path]) =>
+        path !== null && path !== '' && (typeof path !== 'string' || !PAYLOAD_PATH.test(path)));
+      if (invalid) {
+        return { error: `Invalid payload field for column "${invalid[0]}". Use a field path such as amount or reading.amount` };
+      }
+      const reserved = Object.entries(parsedMap).find(([, path]) =>
+        path && path.split('.').some(segment => RESERVED_SEGMENTS.includes(segment)));
+      if (reserved) {
+        return { error: `Invalid payload field for column "${reserved[0]}": ${RESERVED_SEGMENTS.join(', ')} are not allowed` };
+      }
+    }
+
+    const mode = mapping || 'columns';
+    if (!MAPPING_MODES.includes(mode)) {
+      return { error: `mapping must be one of: ${MAPPING_MODES.join(', ')}` };
+    }
+
+    return {
+      source: source.trim(),
+      delimiter: delimiter === 'tab' ? '\t' : delimiter,
+      mapping: mode,
+      columnMap: mode === 'columns' ? parsedMap : null
+    };
+  }
+
+  /**
+   * Parse the file and check it against the mapping
+   * @param {Buffer} buffer - Uploaded file
+   * @param {Object} options - Result of resolveOptions
+   * @returns {Object} { headers, rows } or { error }
+   */
+  async read(buffer, options) {
+    const parsed = csvParser.parse(buffer.toString('utf8'), { delimiter: options.delimiter });
+    if (parsed.error) return parsed;
+
+    if (parsed.rows.length === 0) {
+      return { error: 'The file has a header row but no data rows' };
+    }
+    if (parsed.rows.length > this.maxRows) {
+      return { error: `File too large: at most ${this.maxRows} rows allowed per import` };
+    }
+
+    if (options.columnMap) {
+      const unknown = Object.keys(options.columnMap).find(column => !parsed.headers.includes(column));
+      if (unknown) {
+        return { error: `columnMap names column "${unknown}", which is not in the header row` };
+      }
+      if (!Object.values(options.columnMap).some(Boolean)) {
+        return { error: 'columnMap must map at least one column to a payload field' };
+      }
+    } else if (options.mapping === 'saved' && !(await mappingStore.get(options.source))) {
+      return { error: `No saved mapping for source "${options.source}". Map the columns instead` };
+    }
+
+    return parsed;
+  }
+
+  /**
+   * First rows of the file with the payloads they produce and how each would normalize
+   * Nothing is stored.
+   * @param {Object} parsed - Result of read
+   * @param {Object} options - Result of resolveOptions
+   * @param {number} limit - Rows to include
+   */
+  preview(parsed, options, limit = PREVIEW_ROWS) {
+    const count = Math.min(Math.max(parseInt(limit, 10) || PREVIEW_ROWS, 1), MAX_PREVIEW_ROWS);
+
+    const rows = parsed.rows.slice(0, count).map(row => {
+      const entry = { row: row.line, values: row.values };
+      const built = this._payloadOf(parsed.headers, row, options);
+      if (built.error) return { ...entry, error: built.error };
+
+      const normalized = normalizer.normalize({ source: options.source, payload: built.payload });
+      return normalized.error
+        ? { ...entry, payload: built.payload, error: normalized.error }
+        : {
+          ...entry,
+          payload: built.payload,
+          normalized: {
+            metric: normalized.metric,
+            amount: normalized.amount,
+            currency: normalized.currency,
+            timestamp: normalized.timestamp,
+            attributes: normalized.attributes
+          }
+        };
+    });
+
+    return {
+      source: options.source,
+      mapping: options.mapping,
+      headers: parsed.headers,
+      totalRows: parsed.rows.length,
+      rows
+    };
+  }
+
+  /**
+   * Process every row in file order
+   * @param {Object} parsed - Result of read
+   * @param {Object} options - Result of resolveOptions
+   * @returns {Object} Report with a summary and an outcome per row
+   */
+  async run(parsed, options) {
+    const rows = [];
+
+    for (const row of parsed.rows) {
+      const built = this._payloadOf(parsed.headers, row, options);
+      if (built.error) {
+        rows.push({ row: row.line, status: 'failed', reason: 'validation_error', error: built.error });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await eventProcessor.processEvent({ source: options.source, payload: built.payload });
+      } catch (error) {
+        result = { success: false, reason: 'processing_error', message: error.message };
+      }
+      rows.push(this._outcome(row.line, result));
+    }
+
+    const countOf = (status) => rows.filter(row => row.status === status).length;
+    const summary = {
+      total: rows.length,
+      normalized: countOf('normalized'),
+      duplicates: countOf('duplicate'),
+      quarantined: countOf('quarantined'),
+      queued: countOf('queued'),
+      failed: countOf('failed')
+    };
+
+    return {
+      source: options.source,
+      mapping: options.mapping,
+      summary,
+      failedRows: rows.filter(row => row.status === 'failed').map(row => row.row),
+      rows
+    };
+  }
+
+  /**
+   * Build a row's payload. Empty cells are left out so they count as missing.
+   */
+  _payloadOf(headers, row, options) {
+    if (row.values.length !== headers.length) {
+      return { error: `Row has ${row.values.length} columns; the header row has ${headers.length}` };
+    }
+
+    const payload = {};
+    headers.forEach((column, index) => {
+      const value = row.values[index].trim();
+      if (value === '') return;
+
+      if (!options.columnMap) {
+        // The saved or default mapping refers to the file's own column names
+        setOwn(payload, column, value);
+        return;
+      }
+
+      const path = options.columnMap[column];
+      if (!path) return;
+      const keys = path.split('.');
+      const parent = keys.slice(0, -1).reduce((target, key) => {
+        if (!Object.prototype.hasOwnProperty.call(target, key) || !target[key] || typeof target[key] !== 'object') {
+          setOwn(target, key, {});
+        }
+        return target[key];
+      }, payload);
+      setOwn(parent, keys[keys.length - 1], value);
+    });
+
+    if (Object.keys(payload).length === 0) {
+      return { error: 'Row has no values in the mapped columns' };
+    }
+    return { payload };
+  }
+
+  /**
+   * Rows of a report that were accepted: normalized, quarantined or queued
+   */
+  acceptedRows(report) {
+    const { normalized, quarantined, queued } = report.summary;
+    return normalized + quarantined + queued;
+  }
+
+  _outcome(line, result) {
+    const outcome = { row: line };
+    if (result.success) {
+      outcome.status = 'normalized';
+      outcome.eventId = result.rawEventId;
+      outcome.normalizedEventId = result.normalizedEventId;
+      if (result.warnings) outcome.warnings = result.warnings;
+      return outcome;
+    }
+
+    if (result.reason === 'duplicate') {
+      outcome.status = 'duplicate';
+    } else if (result.reason === 'quarantined') {
+      outcome.status = 'quarantined';
+    } else if (result.transient) {
+      // Handed to the worker pool; its status endpoint reports the outcome
+      outcome.status = 'queued';
+    } else {
+      outcome.status = 'failed';
+      outcome.reason = result.reason;
+    }
+    outcome.eventId = result.eventId;
+    if (result.normalizedEventId) outcome.normalizedEventId = result.normalizedEventId;
+    if (outcome.status !== 'duplicate') outcome.error = result.message;
+    return outcome;
+  }
+}
+
+module.exports = new Importer();
@@ -0,0 +1,118 @@
+const os = require('os');
+const { RawEvent } = require('../models/Event');
+const eventProcessor = require('./eventProcessor');
+
+// Number of in-process workers claiming pending events
+const QUEUE_WORKERS = parseInt(process.env.QUEUE_WORKERS || '2', 10);
+
+// How long an idle worker waits before looking for pending events again
+const QUEUE_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '1000', 10);
+
+/**
+ * Job Queue Service
+ * Processes raw events stored as pending, using the RawEvent collection as
+ * the queue and leases so events held by a crashed worker are picked up again
+ */
+class JobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = QUEUE_WORKERS;
+    this.running = false;
+    this.workers = [];
+  }
+
+  /**
+   * Start the worker pool
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    for (let i = 0; i < this.concurrency; i++) {
+      this.workers.push(this._work(`${this.workerId}#${i}`));
+    }
+  }
+
+  /**
+   * Stop claiming new events and wait for in-flight ones to finish
+   */
+  async stop() {
+    this.running = false;
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  /**
+   * Atomically claim the oldest available pending event, or one whose lease expired
+   * @returns {Object|null} Claimed raw event
+   */
+  async claim(workerId) {
+    const now = new Date();
+    return RawEvent.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', availableAt: { $lte: now } },
+          // The worker holding it crashed or stalled
+          { status: 'processing', leaseExpiresAt: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          leaseOwner: workerId,
+          // Visibility timeout: the event is handed to another worker once the lease runs out
+          leaseExpiresAt: new Date(now.getTime() + eventProcessor.leaseMs)
+        },
+        $inc: { queueClaims: 1 }
+      },
+      { sort: { availableAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async _work(workerId) {
+    while (this.running) {
+      let claimed = null;
+      try {
+        claimed = await this.claim(workerId);
+        if (claimed) {
+          await this._handle(claimed, workerId);
+        }
+      } catch (error) {
+        console.error(`Queue worker ${workerId} error:`, error);
+      }
+
+      if (!claimed && this.running) {
+        await new Promise(resolve => setTimeout(resolve, QUEUE_POLL_INTERVAL_MS));
+      }
+    }
+  }
+
+  async _handle(rawEvent, workerId) {
+    const lease = { _id: rawEvent._id, leaseOwner: workerId };
+    const releaseLease = { leaseOwner: 1, leaseExpiresAt: 1 };
+
+    // Claimed again and again without finishing, e.g. it keeps crashing its worker
+    if (rawEvent.queueClaims > eventProcessor.maxAttempts) {
+      const message = `Queued processing did not finish after ${eventProcessor.maxAttempts} claims`;
+      await RawEvent.updateOne(lease, {
+        $set: {
+          status: 'failed',
+          errorMessage: message,
+          processingResult: { success: false, reason: 'processing_error', message, eventId: rawEvent._id }
+        },
+        $unset: releaseLease
+      });
+      return;
+    }
+
+    const result = await eventProcessor.processQueued(rawEvent, workerId);
+
+    // Skipped if the lease expired and another worker took the event over
+    await RawEvent.updateOne(lease, {
+      $set: { processingResult: result },
+      $unset: releaseLease
+    });
+  }
+}
+
+module.exports = new JobQueue();
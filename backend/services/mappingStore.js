@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const { FieldMapping, FieldMappingVersion } = require('../models/FieldMapping');
+const normalizer = require('./normalizer');
+const validator = require('./validator');
+
+// Polling interval used when change streams are unavailable
+const MAPPING_RELOAD_INTERVAL_MS = parseInt(process.env.MAPPING_RELOAD_INTERVAL_MS || '30000', 10);
+
+/**
+ * Mapping Store Service
+ * Persists per-client field mappings with version history and keeps the
+ * normalizer in sync with the database
+ */
+class MappingStore {
+  constructor() {
+    this.changeStream = null;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Get the current mappings for a client
+   * @returns {Object|null} Mapping document, or null if none is stored
+   */
+  async get(clientId) {
+    const mapping = await FieldMapping.findOne({ clientId, deleted: false }).lean();
+    return mapping && this._fromStored(mapping);
+  }
+
+  /**
+   * List all stored client mappings
+   */
+  async list() {
+    const mappings = await FieldMapping.find({ deleted: false }).sort({ clientId: 1 }).lean();
+    return mappings.map(mapping => this._fromStored(mapping));
+  }
+
+  /**
+   * Create or replace a client's configuration
+   * @param {Object} config - { mappings, fields, settings, rules }
+   */
+  async put(clientId, config) {
+    const { mappings, fields = [], settings = {}, rules = [] } = config;
+    return this._applyChange(clientId, { mappings, fields, settings, rules }, 'update');
+  }
+
+  /**
+   * Delete a client's mappings; the client falls back to the defaults
+   * @returns {Object|null} Updated mapping document, or null if none was stored
+   */
+  async remove(clientId) {
+    const existing = await this.get(clientId);
+    if (!existing) return null;
+    return this._applyChange(clientId, { mappings: null, fields: [], settings: {}, rules: [] }, 'delete');
+  }
+
+  /**
+   * Get the version history of a client's mappings, newest first
+   */
+  async history(clientId) {
+    const versions = await FieldMappingVersion.find({ clientId }).sort({ version: -1 }).lean();
+    return versions.map(version => this._fromStored(version));
+  }
+
+  /**
+   * Restore the mappings of an earlier version as a new version
+   * @returns {Object|null} Updated mapping document, or null if the version doesn't exist
+   */
+  async rollback(clientId, version) {
+    const target = await FieldMappingVersion.findOne({ clientId, version }).lean();
+    if (!target) return null;
+
+    const config = {
+      mappings: this._fromStored(target).mappings,
+      fields: target.fields || [],
+      settings: target.settings || {},
+      rules: target.rules || []
+    };
+    return this._applyChange(clientId, config, 'rollback', version);
+  }
+
+  /**
+   * Write the new mappings and their history entry in one transaction
+   */
+  async _applyChange(clientId, config, action, rolledBackTo) {
+    const { mappings, fields, settings, rules } = config;
+    const stored = mappings === null ? null : Object.entries(mappings);
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const mapping = await FieldMapping.findOneAndUpdate(
+        { clientId },
+        {
+          $set: { mappings: stored, fields, settings, rules, deleted: mappings === null },
+          $inc: { version: 1 }
+        },
+        { upsert: true, new: true, session }
+      );
+
+      await FieldMappingVersion.create([{
+        clientId,
+        version: mapping.version,
+        mappings: stored,
+        fields,
+        settings,
+        rules,
+        action,
+        rolledBackTo
+      }], { session });
+
+      await session.commitTransaction();
+
+      // Apply locally right away; other instances pick it up via reload
+      const result = this._fromStored(mapping.toObject());
+      this._applyConfig(result);
+
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Load every stored mapping into the normalizer
+   */
+  async loadAll() {
+    const mappings = await FieldMapping.find().lean();
+    mappings.forEach(mapping => this._applyConfig(this._fromStored(mapping)));
+    return mappings.length;
+  }
+
+  /**
+   * Hot-reload mappings when they change in the database.
+   * Uses a change stream, falling back to polling if the deployment doesn't support one.
+   */
+  startWatching() {
+    try {
+      this.changeStream = FieldMapping.watch([], { fullDocument: 'updateLookup' });
+      this.changeStream.on('change', (change) => {
+        if (change.fullDocument) {
+          this._applyConfig(this._fromStored(change.fullDocument));
+        }
+      });
+      this.changeStream.on('error', (error) => {
+        console.error('Field mapping change stream error, falling back to polling:', error.message);
+        this._startPolling();
+      });
+    } catch (error) {
+      console.error('Field mapping change stream unavailable, falling back to polling:', error.message);
+      this._startPolling();
+    }
+  }
+
+  /**
+   * Stop watching for mapping changes
+   */
+  async stopWatching() {
+    if (this.changeStream) {
+      await this.changeStream.close();
+      this.changeStream = null;
+    }
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  _startPolling() {
+    if (this.changeStream) {
+      this.changeStream.close().catch(() => {});
+      this.changeStream = null;
+    }
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.loadAll().catch(error => {
+        console.error('Failed to reload field mappings:', error);
+      });
+    }, MAPPING_RELOAD_INTERVAL_MS);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Convert stored [path, field] pairs back to a { path: field } object
+   */
+  _fromStored(doc) {
+    return {
+      ...doc,
+      mappings: Array.isArray(doc.mappings) ? Object.fromEntries(doc.mappings) : doc.mappings
+    };
+  }
+
+  /**
+   * Push a client's configuration into the normalizer and validator
+   */
+  _applyConfig(mapping) {
+    if (mapping.deleted || !mapping.mappings) {
+      normalizer.removeFieldMappings(mapping.clientId, mapping.version);
+      validator.removeRules(mapping.clientId);
+    } else {
+      validator.setRules(mapping.clientId, mapping.rules || []);
+      normalizer.updateFieldMappings(mapping.clientId, mapping.mappings, {
+        fields: mapping.fields || [],
+        settings: mapping.settings || {},
+        version: mapping.version
+      });
+    }
+  }
+}
+
+module.exports = new MappingStore();
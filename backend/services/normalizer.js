@@ -1,4 +1,22 @@
 const crypto = require('crypto');
+const amountParser = require('./amountParser');
+const timestampParser = require('./timestampParser');
+
+// Built-in canonical fields stored at the top level of every normalized event
+const CANONICAL_FIELDS = ['metric', 'amount', 'timestamp'];
+
+// Names allowed for client-defined canonical fields
+const CUSTOM_FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Raised by converters for values that can't be converted without guessing
+class ConversionError extends Error {}
+
+// Options accepted in a source's dedup settings
+const DEDUP_OPTIONS = ['enabled', 'fields', 'windowMinutes'];
+
+// Parsed paths kept in memory; paths also come from unsaved mapping requests,
+// so the least recently used are dropped past this size
+const MAX_CACHED_PATHS = 1000;
 
 /**
  * Normalization Service
@@ -21,45 +39,73 @@ class Normalizer {
       }
     };
     
+    // Per-client parsing settings, keyed by canonical field
+    // Format: { client_id: { amount: { locale, ... }, timestamp: { timezone, ... } } }
+    this.sourceSettings = {};
+
+    // Stored mapping version per client, recorded on normalized events
+    this.mappingVersions = {};
+
+    // Client-defined canonical fields, stored under `attributes`
+    // Format: { client_id: { fieldName: { name, type, transform }, ... } }
+    this.customFields = {};
+
+    // Parsed payload paths, keyed by path string, least recently used first
+    this.pathCache = new Map();
+
     // Type converters
     this.typeConverters = {
-      amount: (value) => {
-        if (typeof value === 'number') return value;
-        if (typeof value === 'string') {
-          const parsed = parseFloat(value.replace(/[^0-9.-]/g, ''));
-          return isNaN(parsed) ? null : parsed;
-        }
-        return null;
+      amount: (value, options) => {
+        const parsed = amountParser.parse(value, options);
+        if (parsed.error) throw new ConversionError(parsed.error);
+        return parsed.value;
       },
-      timestamp: (value) => {
-        if (value instanceof Date) return value;
+      timestamp: (value, options) => {
+        const parsed = timestampParser.parse(value, options);
+        if (parsed.error) throw new ConversionError(parsed.error);
+        return parsed.value;
+      },
+      metric: (value) => {
+        return typeof value === 'string' ? value : String(value || '');
+      }
+    };
+
+    // Converters for client-defined canonical fields, keyed by declared type
+    this.fieldTypes = {
+      string: (value) => {
+        if (value === null || value === undefined || typeof value === 'object') return null;
+        const trimmed = String(value).trim();
+        return trimmed === '' ? null : trimmed;
+      },
+      number: (value, options) => this.typeConverters.amount(value, options),
+      boolean: (value) => {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
         if (typeof value === 'string') {
-          // Try multiple date formats
-          const formats = [
-            /^(\d{4})\/(\d{2})\/(\d{2})/, // 2024/01/01
-            /^(\d{4})-(\d{2})-(\d{2})/, // 2024-01-01
-            /^(\d{4})(\d{2})(\d{2})/, // 20240101
-          ];
-          
-          for (const format of formats) {
-            const match = value.match(format);
-            if (match) {
-              const [, year, month, day] = match;
-              const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
-              if (!isNaN(date.getTime())) return date;
-            }
-          }
-          
-          // Try ISO format
-          const isoDate = new Date(value);
-          if (!isNaN(isoDate.getTime())) return isoDate;
+          const lowered = value.trim().toLowerCase();
+          if (['true', 'yes', '1'].includes(lowered)) return true;
+          if (['false', 'no', '0'].includes(lowered)) return false;
         }
         return null;
       },
-      metric: (value) => {
-        return typeof value === 'string' ? value : String(value || '');
+      date: (value, options) => this.typeConverters.timestamp(value, options),
+      tags: (value) => {
+        const items = Array.isArray(value)
+          ? value
+          : (typeof value === 'string' ? value.split(',') : []);
+        const tags = items
+          .filter(item => item !== null && item !== undefined && typeof item !== 'object')
+          .map(item => String(item).trim())
+          .filter(item => item !== '');
+        return tags.length > 0 ? tags : null;
       }
     };
+
+    // Optional transforms applied to string and tags fields after conversion
+    this.fieldTransforms = {
+      uppercase: (value) => value.toUpperCase(),
+      lowercase: (value) => value.toLowerCase()
+    };
   }
 
   /**
@@ -78,45 +124,513 @@ class Normalizer {
       // Get client-specific mappings or use default
       const mappings = this.fieldMappings[source] || this.fieldMappings.default;
       
+      const customFields = this.customFields[source] || {};
+      const settings = this.sourceSettings[source] || {};
+
       const normalized = {
         client_id: source,
         metric: null,
         amount: null,
-        timestamp: null
+        timestamp: null,
+        currency: (settings.amount && settings.amount.currency) || null,
+        timestampInterpretation: null,
+        mappingVersion: this.getMappingVersion(source)
       };
 
+      const attributes = {};
+      for (const name of Object.keys(customFields)) {
+        attributes[name] = null;
+      }
+
       // Map fields using configuration
+      // Raw fields may be nested paths, with "||" separating fallbacks tried in order
       for (const [rawField, canonicalField] of Object.entries(mappings)) {
-        if (payload.hasOwnProperty(rawField) && normalized.hasOwnProperty(canonicalField)) {
+        const isBuiltIn = CANONICAL_FIELDS.includes(canonicalField);
+        const isCustom = Object.prototype.hasOwnProperty.call(customFields, canonicalField);
+        if (!isBuiltIn && !isCustom) continue;
+
+        const resolved = this._resolveFallbacks(payload, rawField);
+        if (!resolved.found) continue;
+
+        if (canonicalField === 'amount') {
+          // Amounts also carry the currency detected in the raw string
+          const parsed = amountParser.parse(resolved.value, settings.amount);
+          if (parsed.error) return { error: parsed.error };
+          normalized.amount = parsed.value;
+          normalized.currency = parsed.currency;
+        } else if (canonicalField === 'timestamp') {
+          // Record how the timestamp was read (format, timezone, ambiguity resolution)
+          const parsed = timestampParser.parse(resolved.value, settings.timestamp);
+          if (parsed.error) return { error: parsed.error };
+          normalized.timestamp = parsed.value;
+          normalized.timestampInterpretation = parsed.interpretation;
+        } else if (isBuiltIn) {
           const converter = this.typeConverters[canonicalField];
           if (converter) {
-            normalized[canonicalField] = converter(payload[rawField]);
+            normalized[canonicalField] = converter(resolved.value, settings[canonicalField]);
           } else {
-            normalized[canonicalField] = payload[rawField];
+            normalized[canonicalField] = resolved.value;
           }
+        } else {
+          attributes[canonicalField] = this._convertCustomField(
+            customFields[canonicalField],
+            resolved.value,
+            settings
+          );
         }
       }
 
-      // Generate content hash for deduplication
-      // Hash based on client_id + normalized content (excluding timestamp for flexibility)
-      const hashInput = JSON.stringify({
-        client_id: normalized.client_id,
-        metric: normalized.metric,
-        amount: normalized.amount
-      });
-      normalized.normalizedHash = crypto.createHash('sha256').update(hashInput).digest('hex');
+      if (Object.keys(attributes).length > 0) {
+        normalized.attributes = attributes;
+      }
+
+      // Generate content hashes for deduplication, following the source's strategy
+      Object.assign(normalized, this._dedupHashes(normalized, rawEvent, settings.dedup));
 
       return normalized;
     } catch (error) {
+      if (error instanceof ConversionError) {
+        return { error: error.message };
+      }
       return { error: `Normalization error: ${error.message}` };
     }
   }
 
+  /**
+   * Build the semantic deduplication key and unique hash of a normalized event.
+   * Requests with an Idempotency-Key are deduplicated by the key alone (at the
+   * raw event), so each keyed raw event gets its own normalized event.
+   * @param {Object} options - Source dedup settings: { enabled, fields, windowMinutes }
+   * @returns {Object} { dedupKey, normalizedHash, dedup: { strategy, fields, windowMinutes } }
+   */
+  _dedupHashes(normalized, rawEvent, options = {}) {
+    const hash = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+    if (rawEvent.idempotencyKey) {
+      return {
+        dedupKey: null,
+        normalizedHash: hash({
+          client_id: normalized.client_id,
+          idempotencyKey: rawEvent.idempotencyKey,
+          rawEventId: rawEvent.rawEventId ? String(rawEvent.rawEventId) : null
+        }),
+        dedup: { strategy: 'idempotency-key' }
+      };
+    }
+
+    if (options.enabled === false) {
+      // Every raw event gets its own hash, so only exact resubmissions collide
+      return {
+        dedupKey: null,
+        normalizedHash: hash({
+          client_id: normalized.client_id,
+          payload: rawEvent.payload
+        }),
+        dedup: { strategy: 'disabled' }
+      };
+    }
+
+    let keyFields;
+    let fields;
+    if (options.fields) {
+      fields = options.fields;
+      keyFields = { client_id: normalized.client_id };
+      fields.forEach(name => {
+        const isTopLevel = CANONICAL_FIELDS.includes(name) || name === 'currency';
+        const value = isTopLevel ? normalized[name] : (normalized.attributes || {})[name];
+        keyFields[name] = value === undefined ? null : value;
+      });
+    } else {
+      // Default key: client_id + normalized content (excluding timestamp for flexibility)
+      fields = ['metric', 'amount'];
+      keyFields = {
+        client_id: normalized.client_id,
+        metric: normalized.metric,
+        amount: normalized.amount
+      };
+      if (normalized.currency) {
+        fields.push('currency');
+        keyFields.currency = normalized.currency;
+      }
+      if (normalized.attributes) {
+        fields.push(...Object.keys(normalized.attributes));
+        keyFields.attributes = normalized.attributes;
+      }
+    }
+
+    const dedupKey = hash(keyFields);
+
+    if (options.windowMinutes) {
+      // Same key at different times is only a duplicate within the window,
+      // so the unique hash also covers the timestamp
+      return {
+        dedupKey,
+        normalizedHash: hash({ dedupKey, timestamp: normalized.timestamp }),
+        dedup: { strategy: 'window', fields, windowMinutes: options.windowMinutes }
+      };
+    }
+
+    return {
+      dedupKey,
+      normalizedHash: dedupKey,
+      dedup: { strategy: 'exact', fields }
+    };
+  }
+
+  /**
+   * Resolve the first present path of a "path || path || ..." fallback chain
+   * @returns {Object} { found, value }
+   */
+  _resolveFallbacks(payload, rawField) {
+    // A literal top-level key always wins, so existing flat mappings keep working
+    if (Object.prototype.hasOwnProperty.call(payload, rawField)) {
+      return { found: true, value: payload[rawField] };
+    }
+
+    for (const path of rawField.split('||')) {
+      const resolved = this._resolvePath(payload, path.trim());
+      if (resolved.found) return resolved;
+    }
+
+    return { found: false, value: undefined };
+  }
+
+  /**
+   * Resolve a dot/bracket path such as "data.reading.kwh" or "items[0].price".
+   * Negative indexes count from the end of an array ("items[-1]").
+   * @returns {Object} { found, value }
+   */
+  _resolvePath(payload, path) {
+    const segments = this._parsePath(path);
+    if (!segments) return { found: false, value: undefined };
+
+    let current = payload;
+    for (const segment of segments) {
+      if (current === null || typeof current !== 'object') {
+        return { found: false, value: undefined };
+      }
+
+      let key = segment;
+      if (typeof segment === 'number') {
+        if (!Array.isArray(current)) return { found: false, value: undefined };
+        key = segment < 0 ? current.length + segment : segment;
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(current, key)) {
+        return { found: false, value: undefined };
+      }
+      current = current[key];
+    }
+
+    return { found: true, value: current };
+  }
+
+  /**
+   * Split a path into object keys and array indexes.
+   * Bracketed quoted keys (data["kwh.total"]) allow keys containing dots.
+   * @returns {Array|null} Path segments, or null if the path is malformed
+   */
+  _parsePath(path) {
+    if (this.pathCache.has(path)) {
+      const cached = this.pathCache.get(path);
+      this.pathCache.delete(path);
+      this.pathCache.set(path, cached);
+      return cached;
+    }
+
+    const segments = [];
+    const tokenPattern = /([^.[\]]+)|\[(-?\d+)\]|\[(['"])(.*?)\3\]|(\.)/g;
+    let consumed = 0;
+    let expectKey = true;
+    let match;
+
+    while ((match = tokenPattern.exec(path)) !== null) {
+      if (match.index !== consumed) return null;
+      consumed = tokenPattern.lastIndex;
+
+      if (match[5]) {
+        // A dot must be followed by a plain key
+        if (expectKey) return null;
+        expectKey = true;
+      } else if (match[1] !== undefined) {
+        if (!expectKey) return null;
+        segments.push(match[1]);
+        expectKey = false;
+      } else if (match[2] !== undefined) {
+        if (segments.length === 0) return null;
+        segments.push(parseInt(match[2], 10));
+        expectKey = false;
+      } else {
+        segments.push(match[4]);
+        expectKey = false;
+      }
+    }
+
+    const parsed = (consumed === path.length && segments.length > 0 && !expectKey)
+      ? segments
+      : null;
+    if (this.pathCache.size >= MAX_CACHED_PATHS) {
+      this.pathCache.delete(this.pathCache.keys().next().value);
+    }
+    this.pathCache.set(path, parsed);
+    return parsed;
+  }
+
+  /**
+   * Convert a value for a client-defined field using its declared type and transform
+   */
+  _convertCustomField(field, value, settings) {
+    // Numbers and dates follow the source's amount and timestamp settings
+    const options = { number: settings.amount, date: settings.timestamp }[field.type];
+    const converted = this.fieldTypes[field.type](value, options);
+    const transform = this.fieldTransforms[field.transform];
+    if (converted === null || !transform) return converted;
+
+    return Array.isArray(converted) ? converted.map(transform) : transform(converted);
+  }
+
   /**
    * Update field mappings for a specific client
+   * @param {Object} options - { fields, settings, version }
+   *   fields: Client-defined canonical fields: [{ name, type, transform }, ...]
+   *   settings: Parsing settings: { amount: { ... }, timestamp: { ... } }
+   *   version: Stored mapping version, recorded on every normalized event
    */
-  updateFieldMappings(clientId, mappings) {
+  updateFieldMappings(clientId, mappings, options = {}) {
+    const { fields = [], settings = {}, version } = options;
+
     this.fieldMappings[clientId] = { ...this.fieldMappings.default, ...mappings };
+    this.sourceSettings[clientId] = settings;
+    this._setMappingVersion(clientId, version);
+
+    if (fields.length > 0) {
+      this.customFields[clientId] = Object.fromEntries(fields.map(field => [field.name, field]));
+    } else {
+      delete this.customFields[clientId];
+    }
+  }
+
+  /**
+   * Remove a client's field mappings so it falls back to the defaults
+   * @param {number} version - Stored version of the deletion, if any
+   */
+  removeFieldMappings(clientId, version) {
+    if (clientId !== 'default') {
+      delete this.fieldMappings[clientId];
+      delete this.customFields[clientId];
+      delete this.sourceSettings[clientId];
+      this._setMappingVersion(clientId, version);
+    }
+  }
+
+  /**
+   * Get the mapping version currently applied to a client (0 for built-in defaults)
+   */
+  getMappingVersion(clientId) {
+    return this.mappingVersions[clientId] || 0;
+  }
+
+  _setMappingVersion(clientId, version) {
+    if (version === undefined) {
+      delete this.mappingVersions[clientId];
+    } else {
+      this.mappingVersions[clientId] = version;
+    }
+  }
+
+  /**
+   * Validate a source's deduplication settings
+   * @param {Array} fieldNames - Canonical fields the source's events can carry
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateDedupOptions(options, fieldNames) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return 'must be an object';
+    }
+
+    const unknown = Object.keys(options).find(key => !DEDUP_OPTIONS.includes(key));
+    if (unknown) {
+      return `unknown option "${unknown}". Expected one of: ${DEDUP_OPTIONS.join(', ')}`;
+    }
+    if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+      return '"enabled" must be a boolean';
+    }
+
+    if (options.fields !== undefined) {
+      if (!Array.isArray(options.fields) || options.fields.length === 0) {
+        return '"fields" must be a non-empty array of canonical field names';
+      }
+      const unknownField = options.fields.find(field => !fieldNames.includes(field));
+      if (unknownField !== undefined) {
+        return `unknown field "${unknownField}". Expected one of: ${fieldNames.join(', ')}`;
+      }
+      if (new Set(options.fields).size !== options.fields.length) {
+        return '"fields" must not repeat a field';
+      }
+    }
+
+    if (options.windowMinutes !== undefined) {
+      if (typeof options.windowMinutes !== 'number' || !(options.windowMinutes > 0) ||
+          !Number.isFinite(options.windowMinutes)) {
+        return '"windowMinutes" must be a positive number';
+      }
+      if (options.fields && options.fields.includes('timestamp')) {
+        return '"windowMinutes" can\'t be combined with "timestamp" in "fields"';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate per-client parsing settings
+   * @param {Object} settings - { amount: { locale, decimalSeparator, thousandsSeparator,
+   *   accountingNegatives, currency }, timestamp: { formats, timezone, epoch, ambiguity },
+   *   dedup: { enabled, fields, windowMinutes } }
+   * @param {Array} fieldNames - Canonical fields the source's events can carry
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateSettings(settings, fieldNames = this.getCanonicalFieldNames()) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return 'Settings must be an object';
+    }
+
+    const validators = {
+      amount: (options) => amountParser.validateOptions(options),
+      timestamp: (options) => timestampParser.validateOptions(options),
+      dedup: (options) => this.validateDedupOptions(options, fieldNames)
+    };
+
+    for (const [section, options] of Object.entries(settings)) {
+      if (!validators[section]) {
+        return `Unknown settings section "${section}". Expected one of: ${Object.keys(validators).join(', ')}`;
+      }
+      const error = validators[section](options);
+      if (error) return `Invalid ${section} settings: ${error}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Names of every canonical field a client's events can carry
+   * @param {Array} fields - The client's custom field declarations
+   */
+  getCanonicalFieldNames(fields = []) {
+    return [...CANONICAL_FIELDS, 'currency', ...fields.map(field => field.name)];
+  }
+
+  /**
+   * Validate client-defined canonical field declarations
+   * @param {Array} fields - [{ name, type, transform }, ...]
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateCustomFields(fields) {
+    if (!Array.isArray(fields)) {
+      return 'Fields must be an array of { name, type, transform }';
+    }
+
+    const seen = new Set();
+    for (const field of fields) {
+      if (!field || typeof field.name !== 'string' || !CUSTOM_FIELD_NAME.test(field.name)) {
+        return 'Each field needs a name made of letters, digits and underscores';
+      }
+      if (CANONICAL_FIELDS.includes(field.name) || field.name === 'client_id') {
+        return `Field name "${field.name}" is reserved`;
+      }
+      if (seen.has(field.name)) {
+        return `Field "${field.name}" is declared more than once`;
+      }
+      if (!this.fieldTypes[field.type]) {
+        return `Invalid type "${field.type}" for field "${field.name}". ` +
+          `Expected one of: ${Object.keys(this.fieldTypes).join(', ')}`;
+      }
+      if (field.transform !== undefined && !this.fieldTransforms[field.transform]) {
+        return `Invalid transform "${field.transform}" for field "${field.name}". ` +
+          `Expected one of: ${Object.keys(this.fieldTransforms).join(', ')}`;
+      }
+      seen.add(field.name);
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate client field mappings before they are stored
+   * @param {Object} mappings - { rawFieldPath: canonicalField, ... }
+   * @param {Array} fields - Client-defined canonical fields the mappings may target
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateFieldMappings(mappings, fields = []) {
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+      return 'Mappings must be an object of { rawField: canonicalField }';
+    }
+
+    const canonicalFields = [...CANONICAL_FIELDS, ...fields.map(field => field.name)];
+    for (const [rawField, canonicalField] of Object.entries(mappings)) {
+      const invalidPath = rawField.split('||').find(path => !this._parsePath(path.trim()));
+      if (invalidPath !== undefined) {
+        return `Invalid field path "${invalidPath.trim()}" in "${rawField}"`;
+      }
+      if (!canonicalFields.includes(canonicalField)) {
+        return `Invalid canonical field "${canonicalField}" for "${rawField}". ` +
+          `Expected one of: ${canonicalFields.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the declared type of a client-defined field, from any client that declares it
+   * @returns {string|null} Field type, or null if no client declares the field
+   */
+  getFieldType(name) {
+    for (const fields of Object.values(this.customFields)) {
+      if (fields[name]) return fields[name].type;
+    }
+    return null;
+  }
+
+  /**
+   * Build a MongoDB filter on client-defined fields from query parameters
+   * such as ?attributes[region]=EU&attributes[site]=A&attributes[site]=B
+   * @returns {Object} { filter } or { error }
+   */
+  buildAttributeFilter(attributes) {
+    const filter = {};
+    if (!attributes) return { filter };
+
+    if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+      return { error: 'attributes filter must be given as attributes[name]=value' };
+    }
+
+    for (const [name, raw] of Object.entries(attributes)) {
+      if (!CUSTOM_FIELD_NAME.test(name)) {
+        return { error: `Invalid attribute name "${name}"` };
+      }
+
+      let values;
+      try {
+        values = (Array.isArray(raw) ? raw : [raw]).map(value => this._coerceFilterValue(name, value));
+      } catch (error) {
+        if (!(error instanceof ConversionError)) throw error;
+        return { error: `Invalid value for attribute "${name}": ${error.message}` };
+      }
+      filter[`attributes.${name}`] = values.length === 1 ? values[0] : { $in: values };
+    }
+
+    return { filter };
+  }
+
+  _coerceFilterValue(name, value) {
+    const type = this.getFieldType(name);
+    if (value === 'null') return null;
+    if (type === 'number' || type === 'boolean' || type === 'date') {
+      const converted = this.fieldTypes[type](value);
+      return converted === null ? value : converted;
+    }
+    return String(value);
   }
 }
 
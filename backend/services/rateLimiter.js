@@ -0,0 +1,375 @@
+const { SourceLimit, RateLimitBucket, QuotaUsage } = require('../models/SourceLimit');
+const timeBuckets = require('./timeBuckets');
+
+// Rate limit for sources without their own; RATE_LIMIT_PER_SECOND=0 turns it off
+const DEFAULT_RATE = {
+  perSecond: parseFloat(process.env.RATE_LIMIT_PER_SECOND || '20'),
+  burst: parseInt(process.env.RATE_LIMIT_BURST || '40', 10)
+};
+
+// How long each instance reuses a source's limits before reading them again
+const LIMITS_CACHE_MS = parseInt(process.env.LIMITS_CACHE_MS || '5000', 10);
+
+// Finished quota periods are kept this long for reporting
+const QUOTA_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+const QUOTA_PERIODS = ['day', 'month'];
+const MAX_RATE_PER_SECOND = 100000;
+
+/**
+ * Rate Limiter Service
+ * Per-source token buckets and event quotas. State lives in MongoDB and is
+ * changed with single atomic updates, so every server instance shares it.
+ */
+class RateLimiter {
+  constructor() {
+    this.defaultRate = DEFAULT_RATE;
+    this.cache = new Map();
+  }
+
+  /**
+   * Validate a limits configuration
+   * @param {Object} config - { rateLimit: { perSecond, burst } | null, quota: { period, events } | null }
+   * @returns {string|null} Error message, or null if the configuration is acceptable
+   */
+  validateConfig({ rateLimit, quota }) {
+    if (rateLimit !== undefined && rateLimit !== null) {
+      if (typeof rateLimit !== 'object' || Array.isArray(rateLimit)) {
+        return 'rateLimit must be an object: { perSecond, burst }';
+      }
+      const { perSecond, burst } = rateLimit;
+      if (typeof perSecond !== 'number' || !(perSecond > 0) || perSecond > MAX_RATE_PER_SECOND) {
+        return `rateLimit.perSecond must be a number above 0 and at most ${MAX_RATE_PER_SECOND}`;
+      }
+      if (burst !== undefined && (!Number.isInteger(burst) || burst < 1)) {
+        return 'rateLimit.burst must be a positive integer';
+      }
+    }
+
+    if (quota !== undefined && quota !== null) {
+      if (typeof quota !== 'object' || Array.isArray(quota)) {
+        return 'quota must be an object: { period, events }';
+      }
+      if (!QUOTA_PERIODS.includes(quota.period)) {
+        return `quota.period must be one of: ${QUOTA_PERIODS.join(', ')}`;
+      }
+      if (!Number.isInteger(quota.events) || quota.events < 1) {
+        return 'quota.events must be a positive integer';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Store a source's limits
+   * @returns {Object} Stored configuration
+   */
+  async put(source, { rateLimit = null, quota = null }) {
+    const stored = await SourceLimit.findOneAndUpdate(
+      { source },
+      {
+        $set: {
+          // Bursts default to one second's worth of requests
+          rateLimit: rateLimit && { perSecond: rateLimit.perSecond, burst: rateLimit.burst || Math.ceil(rateLimit.perSecond) },
+          quota: quota && { period: quota.period, events: quota.events }
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+    this.cache.delete(source);
+    return stored;
+  }
+
+  /**
+   * Remove a source's limits; it falls back to the defaults
+   * @returns {boolean} Whether the source had limits stored
+   */
+  async remove(source) {
+    const result = await SourceLimit.deleteOne({ source });
+    this.cache.delete(source);
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Take one request from the source's token bucket
+   * @returns {Object} { allowed, retryAfter (seconds, when not allowed) }
+   */
+  async takeRequest(source) {
+    const { rateLimit } = await this._limitsFor(source);
+    if (!rateLimit) return { allowed: true };
+
+    const { perSecond, burst } = rateLimit;
+    // Refill for the time since the last request, capped at the burst size.
+    // $$NOW is the database clock, so instances with skewed clocks agree.
+    const available = {
+      $min: [
+        burst,
+        {
+          $add: [
+            { $ifNull: ['$tokens', burst] },
+            {
+              $multiply: [
+                { $divide: [{ $subtract: ['$$NOW', { $ifNull: ['$refilledAt', '$$NOW'] }] }, 1000] },
+                perSecond
+              ]
+            }
+          ]
+        }
+      ]
+    };
+
+    const update = [
+      { $set: { available } },
+      {
+        $set: {
+          allowed: { $gte: ['$available', 1] },
+          tokens: { $cond: [{ $gte: ['$available', 1] }, { $subtract: ['$available', 1] }, '$available'] },
+          refilledAt: '$$NOW'
+        }
+      },
+      { $unset: 'available' }
+    ];
+
+    let bucket;
+    try {
+      bucket = await RateLimitBucket.findOneAndUpdate({ source }, update, { upsert: true, new: true }).lean();
+    } catch (error) {
+      // Concurrent first requests race on the insert; the loser updates the new bucket
+      if (error.code !== 11000) throw error;
+      bucket = await RateLimitBucket.findOneAndUpdate({ source }, update, { new: true }).lean();
+    }
+
+    if (bucket.allowed) return { allowed: true };
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) / perSecond)) };
+  }
+
+  /**
+   * Count events against the source's quota, unless that would exceed it
+   * @param {number} events - Events the request submits
+   * @returns {Object} { allowed, quota } with quota usage, plus retryAfter when not allowed
+   */
+  async consumeQuota(source, events) {
+    const { quota } = await this._limitsFor(source);
+    if (!quota || events <= 0) return { allowed: true, quota: null };
+
+    const now = new Date();
+    const current = this._periodOf(quota.period, now);
+    const key = { source, period: quota.period, periodStart: current.periodStart };
+    const retryAfter = Math.max(1, Math.ceil((current.resetsAt - now) / 1000));
+
+    if (events > quota.events) {
+      const usage = await QuotaUsage.findOne(key).lean();
+      return { allowed: false, retryAfter, quota: this._quotaUsage(quota, usage, current) };
+    }
+
+    // Two tries: concurrent first requests of a period can race on the insert
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        // Only matches while there is room; otherwise the upsert hits the unique index
+        const usage = await QuotaUsage.findOneAndUpdate(
+          { ...key, count: { $lte: quota.events - events } },
+          {
+            $inc: { count: events },
+            $setOnInsert: { expiresAt: new Date(current.resetsAt.getTime() + QUOTA_RETENTION_MS) }
+          },
+          { upsert: true, new: true }
+        ).lean();
+        return { allowed: true, quota: this._quotaUsage(quota, usage, current) };
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+
+      const usage = await QuotaUsage.findOne(key).lean();
+      if (usage && usage.count + events > quota.events) {
+        return { allowed: false, retryAfter, quota: this._quotaUsage(quota, usage, current) };
+      }
+    }
+    throw new Error(`Could not update the quota of ${source}`);
+  }
+
+  /**
+   * Give back quota consumed for events that were not accepted after all
+   * @param {Object} quota - Quota usage returned by consumeQuota; a period
+   *   that has since ended is left alone
+   * @param {number} events - Events to give back
+   */
+  async refundQuota(source, quota, events) {
+    if (!quota || events <= 0) return;
+    await QuotaUsage.updateOne(
+      { source, period: quota.period, periodStart: quota.periodStart, count: { $gte: events } },
+      { $inc: { count: -events } }
+    );
+  }
+
+  /**
+   * Record how many of the events a limited request submitted were accepted;
+   * the quota of the rest is given back once the response is sent
+   */
+  accept(req, events) {
+    req.acceptedEvents = events;
+  }
+
+  /**
+   * Limits and current quota usage of a source
+   */
+  async usage(source) {
+    const limits = await this._limitsFor(source);
+    return this._usageOf(source, limits, limits.quota && await this._currentUsage(source, limits.quota));
+  }
+
+  /**
+   * Limits and quota usage of every source with stored limits
+   */
+  async usageAll() {
+    const stored = await SourceLimit.find().sort({ source: 1 }).lean();
+    const now = new Date();
+    const periods = Object.fromEntries(QUOTA_PERIODS.map(period => [period, this._periodOf(period, now)]));
+    const counters = await QuotaUsage.find({
+      source: { $in: stored.map(limit => limit.source) },
+      $or: QUOTA_PERIODS.map(period => ({ period, periodStart: periods[period].periodStart }))
+    }).lean();
+
+    return stored.map(limit => {
+      const limits = this._withDefaults(limit);
+      if (!limits.quota) return this._usageOf(limit.source, limits, null);
+
+      const counter = counters.find(usage => usage.source === limit.source && usage.period === limits.quota.period);
+      return this._usageOf(limit.source, limits, this._quotaUsage(limits.quota, counter, periods[limits.quota.period]));
+    });
+  }
+
+  /**
+   * Express middleware: apply the rate limit and quota of the request's source
+   * The source is the API key's, or the body's when keys aren't required.
+   * @param {Function} eventsOf - Number of events the request submits (reserved
+   *   against the quota); omit to only apply the rate limit. Routes report the
+   *   events they accepted with accept(); the rest of the reservation is given back.
+   */
+  limit(eventsOf) {
+    return async (req, res, next) => {
+      const source = req.apiKey ? req.apiKey.source : (req.body && req.body.source);
+      // Requests without a source are rejected by the route
+      if (!source || typeof source !== 'string') return next();
+
+      let rejection;
+      try {
+        const rate = await this.takeRequest(source);
+        if (!rate.allowed) {
+          rejection = {
+            retryAfter: rate.retryAfter,
+            body: { reason: 'rate_limited', error: `Rate limit exceeded for ${source}` }
+          };
+        } else if (eventsOf) {
+          const events = eventsOf(req);
+          const quota = await this.consumeQuota(source, events);
+          if (!quota.allowed) {
+            rejection = {
+              retryAfter: quota.retryAfter,
+              body: { reason: 'quota_exceeded', error: `Event quota exceeded for ${source}`, quota: quota.quota }
+            };
+          } else if (quota.quota) {
+            // Rejected events, idempotent replays and errors don't count
+            this._refundWhenDone(req, res, () => this.refundQuota(source, quota.quota, events - (req.acceptedEvents || 0)));
+          }
+        }
+      } catch (error) {
+        console.error('Rate limiter error:', error);
+        return res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      if (rejection) return this.reject(res, rejection);
+      next();
+    };
+  }
+
+  /**
+   * Run a refund once the route has answered. A client that disconnects
+   * first closes the response without "finish"; the route may still be
+   * storing events then, so the refund waits until it ends the response.
+   */
+  _refundWhenDone(req, res, refund) {
+    let done = false;
+    const settle = () => {
+      if (done) return;
+      done = true;
+      refund().catch(error => {
+        console.error('Failed to refund quota:', error);
+      });
+    };
+
+    res.once('finish', settle);
+    res.once('close', () => {
+      if (res.writableEnded) return settle();
+      const end = res.end;
+      res.end = function (...args) {
+        const result = end.apply(this, args);
+        settle();
+        return result;
+      };
+    });
+  }
+
+  /**
+   * Send a 429 response with Retry-After
+   */
+  reject(res, { retryAfter, body }) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, ...body, retryAfter });
+  }
+
+  async _limitsFor(source) {
+    const cached = this.cache.get(source);
+    if (cached && Date.now() - cached.loadedAt < LIMITS_CACHE_MS) return cached.limits;
+
+    const stored = await SourceLimit.findOne({ source }).lean();
+    const limits = this._withDefaults(stored);
+    this.cache.set(source, { limits, loadedAt: Date.now() });
+    return limits;
+  }
+
+  _withDefaults(stored) {
+    const defaultRate = this.defaultRate.perSecond > 0 ? this.defaultRate : null;
+    return {
+      rateLimit: (stored && stored.rateLimit) || defaultRate,
+      custom: Boolean(stored && stored.rateLimit),
+      quota: (stored && stored.quota) || null
+    };
+  }
+
+  async _currentUsage(source, quota) {
+    const current = this._periodOf(quota.period, new Date());
+    const usage = await QuotaUsage.findOne({ source, period: quota.period, periodStart: current.periodStart }).lean();
+    return this._quotaUsage(quota, usage, current);
+  }
+
+  // Quota periods are UTC days and months
+  _periodOf(period, now) {
+    const periodStart = timeBuckets.floor(now, period, 'UTC');
+    return { periodStart, resetsAt: timeBuckets.next(periodStart, period, 'UTC') };
+  }
+
+  _quotaUsage(quota, usage, { periodStart, resetsAt }) {
+    const used = usage ? usage.count : 0;
+    return {
+      period: quota.period,
+      events: quota.events,
+      used,
+      remaining: Math.max(0, quota.events - used),
+      periodStart,
+      resetsAt
+    };
+  }
+
+  _usageOf(source, limits, quota) {
+    return {
+      source,
+      rateLimit: limits.rateLimit && { ...limits.rateLimit, custom: limits.custom },
+      quota: quota || null
+    };
+  }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const { NormalizedEvent } = require('../models/Event');
+const Rollup = require('../models/Rollup');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Rollups written per bulk write during a rebuild
+const ROLLUP_REBUILD_BATCH_SIZE = parseInt(process.env.ROLLUP_REBUILD_BATCH_SIZE || '500', 10);
+
+// How far before a rebuild's start events are rechecked, for ingestion
+// transactions that were already open (and app server clocks a little behind)
+const REBUILD_OVERLAP_MS = 60 * 1000;
+
+// Attempts of a bucket refresh that loses a write conflict to ingestion
+const MAX_REFRESH_ATTEMPTS = 5;
+
+/**
+ * Rollup Service
+ * Keeps per-client, per-metric, per-hour totals of normalized events up to
+ * date so aggregates don't have to scan every event
+ */
+class RollupService {
+  /**
+   * Add a newly saved normalized event to its rollup
+   * @param {Object} event - Normalized event
+   * @param {ClientSession} session - Session of the transaction that saves the event
+   */
+  async record(event, session) {
+    const hasAmount = typeof event.amount === 'number';
+    const timestamp = this._timestamp(event);
+
+    const update = {
+      $inc: {
+        count: 1,
+        withAmount: hasAmount ? 1 : 0,
+        totalAmount: hasAmount ? event.amount : 0
+      },
+      $set: { updatedAt: new Date() }
+    };
+    const min = {};
+    const max = {};
+    if (hasAmount) {
+      min.minAmount = event.amount;
+      max.maxAmount = event.amount;
+    }
+    if (timestamp) {
+      min.firstTimestamp = timestamp;
+      max.lastTimestamp = timestamp;
+    }
+    if (Object.keys(min).length > 0) {
+      update.$min = min;
+      update.$max = max;
+    }
+
+    await Rollup.updateOne(this._key(event), update, { upsert: true, session });
+  }
+
+  /**
+   * Recompute the rollups containing the given events from the normalized
+   * events themselves; used after records are changed or removed, since
+   * minimums and maximums can't be decremented
+   * @param {Array} events - Events (old and new versions) whose rollups changed
+   */
+  async refresh(events, session) {
+    const keys = new Map();
+    events.filter(Boolean).forEach(event => {
+      const key = this._key(event);
+      keys.set(JSON.stringify(key), key);
+    });
+
+    for (const key of keys.values()) {
+      const match = {
+        client_id: key.client_id,
+        metric: key.metric,
+        timestamp: key.bucket ? { $gte: key.bucket, $lt: new Date(key.bucket.getTime() + HOUR_MS) } : null
+      };
+      const [totals] = await NormalizedEvent.aggregate([
+        { $match: match },
+        { $group: { _id: null, ...this._accumulators() } }
+      ]).session(session);
+
+      if (!totals) {
+        await Rollup.deleteOne(key, { session });
+        continue;
+      }
+      delete totals._id;
+      await Rollup.replaceOne(key, { ...key, ...totals, updatedAt: new Date() }, { upsert: true, session });
+    }
+  }
+
+  /**
+   * Recompute every rollup from the normalized events, for when rollups have
+   * drifted or predate the collection. Rollups of events that no longer exist
+   * are removed. Safe to run while the server ingests: rollups of events
+   * saved during the rebuild are recomputed afterwards.
+   * @returns {Object} { rollups, removed, refreshed, durationMs }
+   */
+  async rebuild() {
+    const startedAt = new Date();
+    const cursor = NormalizedEvent.aggregate([
+      {
+        $group: {
+          _id: {
+            client_id: '$client_id',
+            metric: { $ifNull: ['$metric', null] },
+            bucket: { $dateTrunc: { date: '$timestamp', unit: 'hour' } }
+          },
+          ...this._accumulators()
+        }
+      }
+    ]).allowDiskUse(true).cursor({ batchSize: ROLLUP_REBUILD_BATCH_SIZE });
+
+    let rollups = 0;
+    let operations = [];
+    for await (const totals of cursor) {
+      const key = totals._id;
+      delete totals._id;
+      operations.push({
+        replaceOne: {
+          filter: key,
+          replacement: { ...key, ...totals, updatedAt: startedAt },
+          upsert: true
+        }
+      });
+      if (operations.length >= ROLLUP_REBUILD_BATCH_SIZE) {
+        await Rollup.bulkWrite(operations, { ordered: false });
+        rollups += operations.length;
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      await Rollup.bulkWrite(operations, { ordered: false });
+      rollups += operations.length;
+    }
+
+    // Anything not rewritten above (or updated by ingestion since) is stale
+    const { deletedCount } = await Rollup.deleteMany({ updatedAt: { $lt: startedAt } });
+
+    // A replacement above may have overwritten an ingestion $inc made after
+    // its totals were read
+    const refreshed = await this._refreshSince(new Date(startedAt.getTime() - REBUILD_OVERLAP_MS));
+
+    return { rollups, removed: deletedCount, refreshed, durationMs: Date.now() - startedAt.getTime() };
+  }
+
+  /**
+   * Build the rollups from the normalized events if there are none yet, as
+   * after upgrading a deployment that already has events
+   * @returns {Object|null} Rebuild result, or null if nothing needed building
+   */
+  async rebuildIfEmpty() {
+    const [hasRollups, hasEvents] = await Promise.all([Rollup.exists({}), NormalizedEvent.exists({})]);
+    if (hasRollups || !hasEvents) return null;
+
+    return this.rebuild();
+  }
+
+  /**
+   * Recompute the rollups of events saved since a date, one bucket per
+   * transaction so that a concurrent ingestion $inc either lands first and is
+   * counted or conflicts and the bucket is recomputed
+   * @returns {number} Buckets recomputed
+   */
+  async _refreshSince(since) {
+    // ObjectIds start with their creation second, so this finds every event saved since
+    const sinceId = mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000));
+    const recent = await NormalizedEvent.find({ _id: { $gte: sinceId } }, { client_id: 1, metric: 1, timestamp: 1 }).lean();
+
+    const buckets = new Map();
+    recent.forEach(event => buckets.set(JSON.stringify(this._key(event)), event));
+
+    const session = await mongoose.startSession();
+    try {
+      for (const event of buckets.values()) {
+        await this._refreshInTransaction(event, session);
+      }
+    } finally {
+      await session.endSession();
+    }
+    return buckets.size;
+  }
+
+  async _refreshInTransaction(event, session) {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction();
+      try {
+        await this.refresh([event], session);
+        await session.commitTransaction();
+        return;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+        const transient = error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError');
+        if (!transient || attempt >= MAX_REFRESH_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Start of the UTC hour containing a date
+   */
+  bucketOf(date) {
+    return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+  }
+
+  _key(event) {
+    const timestamp = this._timestamp(event);
+    return {
+      client_id: event.client_id,
+      metric: event.metric ?? null,
+      bucket: timestamp ? this.bucketOf(timestamp) : null
+    };
+  }
+
+  _timestamp(event) {
+    if (!event.timestamp) return null;
+    const timestamp = new Date(event.timestamp);
+    return isNaN(timestamp.getTime()) ? null : timestamp;
+  }
+
+  _accumulators() {
+    return {
+      count: { $sum: 1 },
+      withAmount: { $sum: { $cond: [{ $isNumber: '$amount' }, 1, 0] } },
+      totalAmount: { $sum: '$amount' },
+      minAmount: { $min: '$amount' },
+      maxAmount: { $max: '$amount' },
+      firstTimestamp: { $min: '$timestamp' },
+      lastTimestamp: { $max: '$timestamp' }
+    };
+  }
+}
+
+module.exports = new RollupService();
@@ -0,0 +1,128 @@
+const timestampParser = require('./timestampParser');
+
+// Supported time-series intervals; weeks start on Monday
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+
+// Upper bound on the number of buckets in one time series
+const MAX_TIME_BUCKETS = parseInt(process.env.MAX_TIME_BUCKETS || '2000', 10);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Time Bucket Service
+ * Timezone-aware bucket boundaries for time-series aggregates, matching
+ * MongoDB's $dateTrunc so stored buckets and zero-filled ones line up
+ */
+class TimeBuckets {
+  constructor() {
+    this.intervals = INTERVALS;
+    this.maxBuckets = MAX_TIME_BUCKETS;
+  }
+
+  /**
+   * Validate an interval and timezone
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(interval, timezone) {
+    if (!INTERVALS.includes(interval)) {
+      return `interval must be one of: ${INTERVALS.join(', ')}`;
+    }
+    if (!timestampParser.isValidTimezone(timezone)) {
+      return `Unknown timezone "${timezone}"`;
+    }
+    return null;
+  }
+
+  /**
+   * Aggregation expression for the start of the bucket containing a date field
+   */
+  truncExpression(interval, timezone, field = '$timestamp') {
+    return {
+      $dateTrunc: { date: field, unit: interval, timezone, startOfWeek: 'monday' }
+    };
+  }
+
+  /**
+   * Start of the bucket containing an instant
+   */
+  floor(date, interval, timezone) {
+    const instant = date.getTime();
+    const offset = timestampParser.getZoneOffset(instant, timezone);
+
+    if (interval === 'hour') {
+      // Keeps both repeated hours of a DST fall-back apart, like $dateTrunc
+      return new Date(instant - ((((instant + offset) % HOUR_MS) + HOUR_MS) % HOUR_MS));
+    }
+
+    const wall = new Date(instant + offset);
+    wall.setUTCHours(0, 0, 0, 0);
+    if (interval === 'week') {
+      wall.setUTCDate(wall.getUTCDate() - ((wall.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+      wall.setUTCDate(1);
+    }
+    return new Date(timestampParser.wallClockToUtc(wall.getTime(), timezone));
+  }
+
+  /**
+   * Start of the bucket after the one starting at `start`
+   */
+  next(start, interval, timezone) {
+    if (interval === 'hour') {
+      return new Date(start.getTime() + HOUR_MS);
+    }
+
+    const wall = new Date(start.getTime() + timestampParser.getZoneOffset(start.getTime(), timezone));
+    if (interval === 'day') {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+    } else if (interval === 'week') {
+      wall.setUTCDate(wall.getUTCDate() + 7);
+    } else {
+      wall.setUTCMonth(wall.getUTCMonth() + 1);
+    }
+    return this.floor(new Date(timestampParser.wallClockToUtc(wall.getTime(), timezone)), interval, timezone);
+  }
+
+  /**
+   * The same wall-clock time a number of months earlier or later, with the
+   * day clamped to the end of shorter months (31 March - 1 month = 29 February)
+   */
+  shiftMonths(date, months, timezone) {
+    const wall = new Date(date.getTime() + timestampParser.getZoneOffset(date.getTime(), timezone));
+    const day = wall.getUTCDate();
+    wall.setUTCDate(1);
+    wall.setUTCMonth(wall.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 0)).getUTCDate();
+    wall.setUTCDate(Math.min(day, lastDay));
+    return new Date(timestampParser.wallClockToUtc(wall.getTime(), timezone));
+  }
+
+  /**
+   * Whole months between two month starts
+   */
+  monthsBetween(from, to, timezone) {
+    const a = new Date(from.getTime() + timestampParser.getZoneOffset(from.getTime(), timezone));
+    const b = new Date(to.getTime() + timestampParser.getZoneOffset(to.getTime(), timezone));
+    return (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+  }
+
+  /**
+   * Every bucket from the one containing `from` to the one containing `to`
+   * @returns {Array|null} [{ start, end }], or null if there would be more than maxBuckets
+   */
+  range(from, to, interval, timezone) {
+    const buckets = [];
+    let start = this.floor(from, interval, timezone);
+
+    while (start <= to) {
+      if (buckets.length >= this.maxBuckets) return null;
+
+      const end = this.next(start, interval, timezone);
+      buckets.push({ start, end });
+      start = end;
+    }
+    return buckets;
+  }
+}
+
+module.exports = new TimeBuckets();
@@ -0,0 +1,407 @@
+/**
+ * Timestamp Parsing Service
+ * Parses timestamps using per-source formats, timezones and an ambiguity policy,
+ * and reports how each value was interpreted
+ */
+
+const AMBIGUITY_POLICIES = ['reject', 'day-first', 'month-first'];
+
+// Sources without a policy keep the original month-first reading (as JavaScript's Date parses it)
+const DEFAULT_AMBIGUITY = 'month-first';
+const EPOCH_UNITS = ['auto', 'seconds', 'milliseconds'];
+
+// Epoch values below this are read as seconds in "auto" mode (1e11 ms is March 1973)
+const EPOCH_SECONDS_LIMIT = 1e11;
+
+// Tokens allowed in custom formats, longest first so "YYYY" wins over "YY"
+const FORMAT_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', part: 'year' },
+  MM: { pattern: '(\\d{2})', part: 'month' },
+  M: { pattern: '(\\d{1,2})', part: 'month' },
+  DD: { pattern: '(\\d{2})', part: 'day' },
+  D: { pattern: '(\\d{1,2})', part: 'day' },
+  HH: { pattern: '(\\d{2})', part: 'hour' },
+  H: { pattern: '(\\d{1,2})', part: 'hour' },
+  mm: { pattern: '(\\d{2})', part: 'minute' },
+  ss: { pattern: '(\\d{2})', part: 'second' },
+  SSS: { pattern: '(\\d{3})', part: 'millisecond' },
+  Z: { pattern: '(Z|[+-]\\d{2}:?\\d{2})', part: 'offset' }
+};
+const TOKEN_PATTERN = /YYYY|SSS|MM|DD|HH|mm|ss|M|D|H|Z/g;
+
+// Optional time of day after a date: " 10:30", "T10:30:15.123"
+const TIME_SUFFIX = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d{1,3}))?)?)?';
+const OFFSET_SUFFIX = '\\s*(Z|[+-]\\d{2}:?\\d{2})?';
+
+// Zone designators the JS parser understands: "GMT", "UTC+2", "EST", "+0200"
+const NATIVE_ZONE = /\b((?:UTC?|GMT)(?:[+-]\d{1,2}(?::?\d{2})?)?|Z|[ECMP][SD]T)(?![\w+-])|([+-]\d{2}:?\d{2})\s*(?:\([^)]*\))?$/i;
+
+const YEAR_FIRST = new RegExp(`^(\\d{4})([-/.]?)(\\d{2})\\2(\\d{2})${TIME_SUFFIX}${OFFSET_SUFFIX}$`);
+const YEAR_LAST = new RegExp(`^(\\d{1,2})([-/.])(\\d{1,2})\\2(\\d{4})${TIME_SUFFIX}${OFFSET_SUFFIX}$`);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class TimestampParser {
+  constructor() {
+    // Compiled custom formats, keyed by format string
+    this.formatCache = new Map();
+    // Intl formatters used for timezone offsets, keyed by zone
+    this.zoneFormatters = new Map();
+  }
+
+  /**
+   * Parse a timestamp
+   * @param {*} value - Raw timestamp from the payload
+   * @param {Object} options - { formats, timezone, epoch, ambiguity }
+   * @returns {Object} { value, interpretation }, or { error } for ambiguous input when the
+   *   source opted into the "reject" policy
+   */
+  parse(value, options = {}) {
+    const timezone = options.timezone || 'UTC';
+
+    if (value instanceof Date) {
+      return this._result(value, { method: 'date' });
+    }
+    if (typeof value === 'number') {
+      return this._parseEpoch(value, options.epoch);
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+      return { value: null, interpretation: null };
+    }
+
+    const text = value.trim();
+
+    // Configured formats take precedence over the built-in patterns
+    for (const format of options.formats || []) {
+      const parsed = this._parseWithFormat(text, format, timezone);
+      if (parsed) return parsed;
+    }
+
+    if (/^\d{10}$|^\d{13}$/.test(text)) {
+      return this._parseEpoch(Number(text), options.epoch);
+    }
+
+    const yearFirst = YEAR_FIRST.exec(text);
+    if (yearFirst) {
+      const [, year, , month, day, ...time] = yearFirst;
+      return this._fromParts({ year, month, day }, time, timezone, 'year-first');
+    }
+
+    const yearLast = YEAR_LAST.exec(text);
+    if (yearLast) {
+      return this._parseYearLast(yearLast, timezone, options.ambiguity || DEFAULT_AMBIGUITY, value);
+    }
+
+    // Anything else (RFC 2822, "Jan 5, 2024 10:00 GMT", ...) is left to the JS parser
+    return this._parseNative(text, timezone);
+  }
+
+  /**
+   * Parse with the JS parser. It reads text without a zone in the server's
+   * local zone, so such text is read as a wall-clock time in the source
+   * timezone instead.
+   */
+  _parseNative(text, timezone) {
+    const zone = NATIVE_ZONE.exec(text);
+    if (zone) {
+      const native = new Date(text);
+      return isNaN(native.getTime())
+        ? { value: null, interpretation: null }
+        : this._result(native, { method: 'native', timezone: zone[1] || zone[2] });
+    }
+
+    // Without a zone of its own, a trailing "GMT" makes the parser return the wall clock as UTC
+    const wallClock = new Date(`${text} GMT`).getTime();
+    if (isNaN(wallClock)) {
+      return { value: null, interpretation: null };
+    }
+    return this._result(
+      new Date(this._zonedToUtc(wallClock, timezone)),
+      { method: 'native', timezone, timezoneAssumed: true }
+    );
+  }
+
+  /**
+   * Validate per-source timestamp settings
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return 'Timestamp settings must be an object';
+    }
+
+    if (options.formats !== undefined) {
+      if (!Array.isArray(options.formats) || options.formats.some(format => typeof format !== 'string')) {
+        return 'formats must be an array of format strings';
+      }
+      const invalid = options.formats.find(format => !this._compileFormat(format));
+      if (invalid !== undefined) {
+        return `Invalid format "${invalid}": it needs at least YYYY, M/MM and D/DD tokens, or X/x for epochs`;
+      }
+    }
+    if (options.timezone !== undefined && !this._zoneFormatter(options.timezone)) {
+      return `Unknown timezone "${options.timezone}"`;
+    }
+    if (options.epoch !== undefined && !EPOCH_UNITS.includes(options.epoch)) {
+      return `epoch must be one of: ${EPOCH_UNITS.join(', ')}`;
+    }
+    if (options.ambiguity !== undefined && !AMBIGUITY_POLICIES.includes(options.ambiguity)) {
+      return `ambiguity must be one of: ${AMBIGUITY_POLICIES.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse "NN/NN/YYYY", resolving day/month order from the values or the ambiguity policy
+   */
+  _parseYearLast(match, timezone, policy, original) {
+    const [, first, , second, year, ...time] = match;
+    const a = parseInt(first, 10);
+    const b = parseInt(second, 10);
+
+    let order;
+    if (a > 12 && b <= 12) {
+      order = 'day-first';
+    } else if (b > 12 && a <= 12) {
+      order = 'month-first';
+    } else if (a === b) {
+      order = 'day-first';
+    } else if (policy === 'reject') {
+      return { error: `Ambiguous timestamp "${original}": day and month order can't be determined` };
+    } else {
+      order = policy;
+    }
+
+    const parts = order === 'day-first'
+      ? { year, month: second, day: first }
+      : { year, month: first, day: second };
+    const parsed = this._fromParts(parts, time, timezone, order);
+
+    // Record when the order came from the policy rather than the values themselves
+    if (parsed.interpretation && a <= 12 && b <= 12 && a !== b) {
+      parsed.interpretation.ambiguityResolvedBy = policy;
+    }
+    return parsed;
+  }
+
+  /**
+   * Build a date from captured parts: [hour, minute, second, millisecond, offset]
+   */
+  _fromParts(date, time, timezone, method) {
+    const [hour, minute, second, millisecond, offset] = time;
+    return this._build({
+      year: date.year,
+      month: date.month,
+      day: date.day,
+      hour,
+      minute,
+      second,
+      millisecond: millisecond && millisecond.padEnd(3, '0'),
+      offset
+    }, timezone, { method });
+  }
+
+  _parseEpoch(value, unit = 'auto') {
+    if (!Number.isFinite(value)) {
+      return { value: null, interpretation: null };
+    }
+
+    const resolved = unit === 'auto'
+      ? (Math.abs(value) < EPOCH_SECONDS_LIMIT ? 'seconds' : 'milliseconds')
+      : unit;
+    const millis = resolved === 'seconds' ? value * 1000 : value;
+
+    return this._result(new Date(millis), { method: `epoch-${resolved}`, timezone: 'UTC' });
+  }
+
+  _parseWithFormat(text, format, timezone) {
+    const compiled = this._compileFormat(format);
+    if (!compiled) return null;
+
+    if (compiled.epoch) {
+      if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+      const parsed = this._parseEpoch(Number(text), compiled.epoch);
+      if (parsed.interpretation) parsed.interpretation.format = format;
+      return parsed;
+    }
+
+    const match = compiled.regex.exec(text);
+    if (!match) return null;
+
+    const parts = {};
+    compiled.parts.forEach((part, index) => {
+      parts[part] = match[index + 1];
+    });
+
+    const parsed = this._build(parts, timezone, { method: 'format', format });
+    return parsed.value ? parsed : null;
+  }
+
+  /**
+   * Compile a format such as "DD.MM.YYYY HH:mm" into a regex
+   * @returns {Object|null} { regex, parts } or { epoch }, or null if the format is unusable
+   */
+  _compileFormat(format) {
+    if (this.formatCache.has(format)) return this.formatCache.get(format);
+
+    let compiled = null;
+    if (format === 'X') {
+      compiled = { epoch: 'seconds' };
+    } else if (format === 'x') {
+      compiled = { epoch: 'milliseconds' };
+    } else {
+      const parts = [];
+      let pattern = '';
+      let lastIndex = 0;
+      let match;
+
+      TOKEN_PATTERN.lastIndex = 0;
+      while ((match = TOKEN_PATTERN.exec(format)) !== null) {
+        pattern += escapeRegExp(format.slice(lastIndex, match.index));
+        pattern += FORMAT_TOKENS[match[0]].pattern;
+        parts.push(FORMAT_TOKENS[match[0]].part);
+        lastIndex = TOKEN_PATTERN.lastIndex;
+      }
+      pattern += escapeRegExp(format.slice(lastIndex));
+
+      const required = ['year', 'month', 'day'];
+      const unique = new Set(parts).size === parts.length;
+      if (unique && required.every(part => parts.includes(part))) {
+        compiled = { regex: new RegExp(`^${pattern}$`), parts };
+      }
+    }
+
+    this.formatCache.set(format, compiled);
+    return compiled;
+  }
+
+  /**
+   * Turn date/time parts into a Date, using the explicit offset or else the source timezone
+   */
+  _build(parts, timezone, interpretation) {
+    const fields = {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      hour: parseInt(parts.hour || '0', 10),
+      minute: parseInt(parts.minute || '0', 10),
+      second: parseInt(parts.second || '0', 10),
+      millisecond: parseInt(parts.millisecond || '0', 10)
+    };
+
+    // Reject impossible values such as 2024-02-30 or 25:00 instead of letting Date roll them over
+    const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day,
+      fields.hour, fields.minute, fields.second, fields.millisecond);
+    const check = new Date(wallClock);
+    if (isNaN(wallClock) ||
+      check.getUTCFullYear() !== fields.year ||
+      check.getUTCMonth() !== fields.month - 1 ||
+      check.getUTCDate() !== fields.day ||
+      check.getUTCHours() !== fields.hour ||
+      check.getUTCMinutes() !== fields.minute) {
+      return { value: null, interpretation: null };
+    }
+
+    if (parts.offset) {
+      const offsetMinutes = this._parseOffset(parts.offset);
+      return this._result(
+        new Date(wallClock - offsetMinutes * 60000),
+        { ...interpretation, timezone: parts.offset === 'Z' ? 'UTC' : parts.offset }
+      );
+    }
+
+    return this._result(
+      new Date(this._zonedToUtc(wallClock, timezone)),
+      { ...interpretation, timezone, timezoneAssumed: true }
+    );
+  }
+
+  _parseOffset(offset) {
+    if (offset === 'Z') return 0;
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  /**
+   * Whether a timezone name is a valid IANA zone
+   */
+  isValidTimezone(timezone) {
+    return typeof timezone === 'string' && Boolean(this._zoneFormatter(timezone));
+  }
+
+  /**
+   * Milliseconds a timezone is ahead of UTC at the given instant
+   */
+  getZoneOffset(instant, timezone) {
+    return timezone === 'UTC' ? 0 : this._zoneOffset(instant, timezone);
+  }
+
+  /**
+   * UTC epoch of a wall-clock time (given as a UTC epoch of its fields) in a timezone
+   */
+  wallClockToUtc(wallClock, timezone) {
+    return this._zonedToUtc(wallClock, timezone);
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to a UTC epoch
+   */
+  _zonedToUtc(wallClock, timezone) {
+    if (timezone === 'UTC') return wallClock;
+
+    // The offset at the guessed instant may differ across a DST change, so correct once
+    const firstOffset = this._zoneOffset(wallClock, timezone);
+    let utc = wallClock - firstOffset;
+    const secondOffset = this._zoneOffset(utc, timezone);
+    if (secondOffset !== firstOffset) {
+      utc = wallClock - secondOffset;
+    }
+    return utc;
+  }
+
+  /**
+   * Milliseconds the timezone is ahead of UTC at the given instant
+   */
+  _zoneOffset(instant, timezone) {
+    const parts = {};
+    for (const { type, value } of this._zoneFormatter(timezone).formatToParts(new Date(instant))) {
+      parts[type] = value;
+    }
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day,
+      parts.hour, parts.minute, parts.second);
+    return asUtc - (instant - (((instant % 1000) + 1000) % 1000));
+  }
+
+  _zoneFormatter(timezone) {
+    if (!this.zoneFormatters.has(timezone)) {
+      let formatter = null;
+      try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit'
+        });
+      } catch (error) {
+        formatter = null;
+      }
+      this.zoneFormatters.set(timezone, formatter);
+    }
+    return this.zoneFormatters.get(timezone);
+  }
+
+  _result(date, interpretation) {
+    if (isNaN(date.getTime())) {
+      return { value: null, interpretation: null };
+    }
+    return { value: date, interpretation };
+  }
+}
+
+module.exports = new TimestampParser();
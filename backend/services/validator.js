@@ -0,0 +1,208 @@
+/**
+ * Validation Service
+ * Applies declarative per-source rules to normalized events
+ */
+
+// Rule actions, from least to most severe
+const ACTIONS = ['warn', 'quarantine', 'reject'];
+const RULE_TYPES = ['required', 'range', 'allowedValues', 'timestampBounds'];
+
+class Validator {
+  constructor() {
+    // Format: { client_id: [rule, ...] }
+    this.rules = {};
+  }
+
+  /**
+   * Replace the rules for a client
+   */
+  setRules(clientId, rules = []) {
+    if (rules.length > 0) {
+      this.rules[clientId] = rules;
+    } else {
+      delete this.rules[clientId];
+    }
+  }
+
+  /**
+   * Remove a client's rules
+   */
+  removeRules(clientId) {
+    delete this.rules[clientId];
+  }
+
+  /**
+   * Check a normalized event against its source's rules
+   * @param {Object} normalized - Output of Normalizer.normalize
+   * @param {Object} options - { now: reference time for timestamp bounds }
+   * @returns {Object} { action: 'accept'|'warn'|'quarantine'|'reject', violations: [...] }
+   */
+  validate(normalized, options = {}) {
+    const rules = this.rules[normalized.client_id] || [];
+    const now = options.now || new Date();
+    const violations = [];
+
+    rules.forEach((rule, index) => {
+      const message = this._check(rule, normalized, now);
+      if (message) {
+        violations.push({
+          rule: rule.name || `${rule.type}#${index}`,
+          action: rule.action,
+          message
+        });
+      }
+    });
+
+    const action = violations.reduce((worst, violation) => (
+      ACTIONS.indexOf(violation.action) > ACTIONS.indexOf(worst) ? violation.action : worst
+    ), 'accept');
+
+    return { action, violations };
+  }
+
+  /**
+   * Validate rule declarations before they are stored
+   * @param {Array} rules - Rule declarations
+   * @param {Array} fieldNames - Canonical fields the rules may refer to
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateRules(rules, fieldNames) {
+    if (!Array.isArray(rules)) {
+      return 'Rules must be an array';
+    }
+
+    for (const [index, rule] of rules.entries()) {
+      const label = `Rule ${index}`;
+      if (!rule || typeof rule !== 'object') {
+        return `${label} must be an object`;
+      }
+      if (!RULE_TYPES.includes(rule.type)) {
+        return `${label} has invalid type "${rule.type}". Expected one of: ${RULE_TYPES.join(', ')}`;
+      }
+      if (!ACTIONS.includes(rule.action)) {
+        return `${label} has invalid action "${rule.action}". Expected one of: ${ACTIONS.join(', ')}`;
+      }
+
+      let fields;
+      if (rule.type === 'required') {
+        if (!Array.isArray(rule.fields) || rule.fields.length === 0) {
+          return `${label} needs a non-empty "fields" array`;
+        }
+        fields = rule.fields;
+      } else {
+        const field = rule.field || (rule.type === 'timestampBounds' ? 'timestamp' : null);
+        if (typeof field !== 'string') {
+          return `${label} needs a "field"`;
+        }
+        fields = [field];
+      }
+      const unknown = fields.find(field => !fieldNames.includes(field));
+      if (unknown !== undefined) {
+        return `${label} refers to unknown field "${unknown}"`;
+      }
+
+      const error = this._validateRuleOptions(rule);
+      if (error) return `${label} ${error}`;
+    }
+
+    return null;
+  }
+
+  _validateRuleOptions(rule) {
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+    switch (rule.type) {
+      case 'required':
+        if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) {
+          return 'has invalid match: expected "all" or "any"';
+        }
+        return null;
+      case 'range':
+        if (rule.min === undefined && rule.max === undefined) return 'needs min and/or max';
+        if (rule.min !== undefined && !isNumber(rule.min)) return 'has a non-numeric min';
+        if (rule.max !== undefined && !isNumber(rule.max)) return 'has a non-numeric max';
+        return null;
+      case 'allowedValues':
+        if (!Array.isArray(rule.values) || rule.values.length === 0) return 'needs a non-empty "values" array';
+        return null;
+      case 'timestampBounds':
+        if (!rule.notInFuture && rule.notBefore === undefined && rule.maxAgeDays === undefined) {
+          return 'needs notInFuture, notBefore and/or maxAgeDays';
+        }
+        if (rule.notBefore !== undefined && !isDate(rule.notBefore)) return 'has an invalid notBefore date';
+        if (rule.maxAgeDays !== undefined && !isNumber(rule.maxAgeDays)) return 'has a non-numeric maxAgeDays';
+        if (rule.toleranceMinutes !== undefined && !isNumber(rule.toleranceMinutes)) {
+          return 'has a non-numeric toleranceMinutes';
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Run one rule
+   * @returns {string|null} Violation message, or null if the rule passes
+   */
+  _check(rule, normalized, now) {
+    // Missing values are only the concern of "required" rules
+    switch (rule.type) {
+      case 'required': {
+        const missing = rule.fields.filter(field => this._isMissing(this._value(normalized, field)));
+        const failed = rule.match === 'any' ? missing.length === rule.fields.length : missing.length > 0;
+        if (!failed) return null;
+        return rule.match === 'any'
+          ? `At least one of ${rule.fields.join(', ')} is required`
+          : `Missing required field${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`;
+      }
+      case 'range': {
+        const value = this._value(normalized, rule.field);
+        if (typeof value !== 'number') return null;
+        if (rule.min !== undefined && value < rule.min) return `${rule.field} ${value} is below minimum ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `${rule.field} ${value} is above maximum ${rule.max}`;
+        return null;
+      }
+      case 'allowedValues': {
+        const value = this._value(normalized, rule.field);
+        if (this._isMissing(value) || rule.values.includes(value)) return null;
+        return `${rule.field} "${value}" is not one of: ${rule.values.join(', ')}`;
+      }
+      case 'timestampBounds': {
+        const field = rule.field || 'timestamp';
+        const value = this._value(normalized, field);
+        if (!(value instanceof Date)) return null;
+
+        const toleranceMs = (rule.toleranceMinutes || 0) * 60000;
+        if (rule.notInFuture && value.getTime() > now.getTime() + toleranceMs) {
+          return `${field} ${value.toISOString()} is in the future`;
+        }
+        if (rule.notBefore !== undefined && value < new Date(rule.notBefore)) {
+          return `${field} ${value.toISOString()} is before ${rule.notBefore}`;
+        }
+        if (rule.maxAgeDays !== undefined && now.getTime() - value.getTime() > rule.maxAgeDays * 86400000) {
+          return `${field} ${value.toISOString()} is older than ${rule.maxAgeDays} days`;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Read a built-in canonical field or a client-defined attribute
+   */
+  _value(normalized, field) {
+    if (Object.prototype.hasOwnProperty.call(normalized, field) && field !== 'attributes') {
+      return normalized[field];
+    }
+    return normalized.attributes ? normalized.attributes[field] : undefined;
+  }
+
+  _isMissing(value) {
+    return value === null || value === undefined || value === '';
+  }
+}
+
+module.exports = new Validator();
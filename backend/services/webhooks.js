@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const mongoose = require('mongoose');
+const { Webhook, WebhookDelivery, WEBHOOK_STATUSES } = require('../models/Webhook');
+
+// Delivery attempts (first try + retries) before a delivery is marked failed
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+
+// Exponential backoff between attempts: base, 2x base, 4x base, ... up to the cap
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000', 10);
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || String(60 * 60 * 1000), 10);
+
+// How long a subscriber has to answer
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+// How long an idle dispatcher waits before looking for due deliveries again
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '1000', 10);
+
+// How long each instance reuses the subscription list before reading it again
+const WEBHOOK_CACHE_MS = parseInt(process.env.WEBHOOK_CACHE_MS || '5000', 10);
+
+// Attempts kept on each delivery
+const ATTEMPT_LOG_LIMIT = 20;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Webhook Service
+ * Stores subscriptions, queues a delivery for each matching event outcome and
+ * sends queued deliveries in the background with signed payloads and retries
+ */
+class WebhookService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:webhooks`;
+    this.maxAttempts = WEBHOOK_MAX_ATTEMPTS;
+    this.running = false;
+    this.worker = null;
+    this.subscriptions = null;
+  }
+
+  /**
+   * Validate a subscription
+   * @param {Object} config - { url, sources, statuses, description, active, secret }
+   * @param {Object} options - { partial: only check the fields given (updates) }
+   * @returns {string|null} Error message, or null if the subscription is acceptable
+   */
+  validateConfig(config, { partial = false } = {}) {
+    const { url, sources, statuses, description, active, secret } = config;
+
+    if (!partial || url !== undefined) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return 'url must be an absolute http or https URL';
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'url must be an absolute http or https URL';
+      }
+    }
+    if (sources !== undefined &&
+        (!Array.isArray(sources) || !sources.every(source => typeof source === 'string' && source))) {
+      return 'sources must be an array of source names (empty for every source)';
+    }
+    if ((!partial || statuses !== undefined) &&
+        (!Array.isArray(statuses) || statuses.length === 0 || !statuses.every(status => WEBHOOK_STATUSES.includes(status)))) {
+      return `statuses must be a non-empty array of: ${WEBHOOK_STATUSES.join(', ')}`;
+    }
+    if (description !== undefined && description !== null &&
+        (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return 'active must be a boolean';
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return 'secret must be a string of at least 16 characters';
+    }
+    return null;
+  }
+
+  /**
+   * Create a subscription; a signing secret is generated unless one is given
+   * @returns {Object} Subscription including its secret
+   */
+  async create({ url, sources = [], statuses, description = null, active = true, secret }) {
+    const webhook = await Webhook.create({
+      url,
+      sources,
+      statuses: [...new Set(statuses)],
+      description,
+      active,
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`
+    });
+    this.subscriptions = null;
+
+    const created = webhook.toObject();
+    return { ...this.toPublic(created), secret: created.secret };
+  }
+
+  /**
+   * List subscriptions (without secrets)
+   */
+  async list() {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 }).lean();
+    return webhooks.map(webhook => this.toPublic(webhook));
+  }
+
+  /**
+   * @returns {Object|null} Subscription (without its secret), or null if none has this ID
+   */
+  async get(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const webhook = await Webhook.findById(id).lean();
+    return webhook && this.toPublic(webhook);
+  }
+
+  /**
+   * Change some fields of a subscription
+   * @returns {Object|null} Updated subscription, or null if none has this ID
+   */
+  async update(id, changes) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const fields = ['url', 'sources', 'statuses', 'description', 'active', 'secret'];
+    const $set = Object.fromEntries(fields.filter(field => changes[field] !== undefined).map(field => [field, changes[field]]));
+    const webhook = await Webhook.findByIdAndUpdate(id, { $set }, { new: true }).lean();
+    this.subscriptions = null;
+    return webhook && this.toPublic(webhook);
+  }
+
+  /**
+   * Delete a subscription; its queued deliveries are dropped when they come due
+   * @returns {boolean} Whether a subscription was deleted
+   */
+  async remove(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const result = await Webhook.deleteOne({ _id: id });
+    this.subscriptions = null;
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * A subscription's deliveries, newest first
+   * @param {Object} filter - { status, limit }
+   */
+  async deliveries(webhookId, { status, limit = 50 } = {}) {
+    const query = { webhookId };
+    if (status) query.status = status;
+    return WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500))
+      .lean();
+  }
+
+  /**
+   * @returns {Object|null} Delivery with its attempt log, or null if none has this ID
+   */
+  async getDelivery(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return WebhookDelivery.findById(id).lean();
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery with its own retries
+   * @returns {Object|null} New delivery, or null if no delivery has this ID
+   */
+  async redeliver(id) {
+    const original = await this.getDelivery(id);
+    if (!original) return null;
+
+    const delivery = await WebhookDelivery.create({
+      webhookId: original.webhookId,
+      type: original.type,
+      payload: original.payload,
+      redeliveryOf: original._id
+    });
+    return delivery.toObject();
+  }
+
+  /**
+   * Queue deliveries for an event outcome to every matching subscription
+   * Returns right away: ingestion never waits for webhooks, and errors here
+   * are logged rather than failing the event.
+   * @param {Object} rawEventData - { source, payload }
+   * @param {Object} result - Processing result
+   */
+  notify(rawEventData, result) {
+    const status = this.statusOf(result);
+    if (!status) return;
+
+    this._enqueue(rawEventData, result, status).catch(error => {
+      console.error('Failed to queue webhook deliveries:', error);
+    });
+  }
+
+  /**
+   * Outcome a processing result reports, or null if it isn't final
+   * (in progress, or queued again after transient errors)
+   */
+  statusOf(result) {
+    if (!result || result.rolledBack || result.transient) return null;
+    if (result.success) return 'normalized';
+    if (result.reason === 'duplicate') return 'duplicate';
+    if (result.reason === 'quarantined') return 'quarantined';
+    if (['validation_error', 'processing_error'].includes(result.reason)) return 'failed';
+    return null;
+  }
+
+  /**
+   * Start sending queued deliveries
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.worker = this._work();
+  }
+
+  /**
+   * Stop claiming deliveries and wait for the one in flight
+   */
+  async stop() {
+    this.running = false;
+    await this.worker;
+    this.worker = null;
+  }
+
+  /**
+   * Atomically claim the oldest due delivery, or one whose sender crashed
+   * @returns {Object|null} Claimed delivery
+   */
+  async claim() {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', leaseExpiresAt: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'delivering',
+          leaseOwner: this.workerId,
+          // Long enough for the request to time out
+          leaseExpiresAt: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS * 2)
+        }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    ).lean();
+  }
+
+  /**
+   * Signature header value: t=<unix seconds>,v1=<HMAC-SHA256 of "<t>.<body>">
+   */
+  sign(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  toPublic(webhook) {
+    const { secret, __v, ...rest } = webhook;
+    return rest;
+  }
+
+  async _enqueue(rawEventData, result, status) {
+    const subscriptions = (await this._subscriptionsFor()).filter(webhook =>
+      webhook.statuses.includes(status) &&
+      (webhook.sources.length === 0 || webhook.sources.includes(rawEventData.source)));
+    if (subscriptions.length === 0) return;
+
+    const payload = this._payloadOf(rawEventData, result, status);
+    await WebhookDelivery.insertMany(subscriptions.map(webhook => ({
+      webhookId: webhook._id,
+      type: payload.type,
+      payload
+    })));
+  }
+
+  _payloadOf(rawEventData, result, status) {
+    const data = {
+      eventId: result.rawEventId || result.eventId,
+      source: rawEventData.source,
+      status,
+      message: result.message
+    };
+    if (result.reason) data.reason = result.reason;
+    if (result.normalizedEventId) data.normalizedEventId = result.normalizedEventId;
+    if (result.violations) data.violations = result.violations;
+    if (result.normalizedData) {
+      const { client_id, metric, amount, currency, timestamp, attributes } = result.normalizedData;
+      data.normalized = { client_id, metric, amount, currency, timestamp, attributes };
+    }
+
+    // Subscribers can use id to ignore repeats; redeliveries keep it
+    return {
+      id: new mongoose.Types.ObjectId().toString(),
+      type: `event.${status}`,
+      createdAt: new Date(),
+      data
+    };
+  }
+
+  // Active subscriptions, cached briefly so events without subscribers cost no query
+  async _subscriptionsFor() {
+    if (!this.subscriptions || Date.now() - this.subscriptions.loadedAt >= WEBHOOK_CACHE_MS) {
+      const webhooks = await Webhook.find({ active: true }).lean();
+      this.subscriptions = { webhooks, loadedAt: Date.now() };
+    }
+    return this.subscriptions.webhooks;
+  }
+
+  async _work() {
+    while (this.running) {
+      let claimed = null;
+      try {
+        claimed = await this.claim();
+        if (claimed) {
+          await this._deliver(claimed);
+        }
+      } catch (error) {
+        console.error('Webhook dispatcher error:', error);
+      }
+
+      if (!claimed && this.running) {
+        await new Promise(resolve => setTimeout(resolve, WEBHOOK_POLL_INTERVAL_MS));
+      }
+    }
+  }
+
+  async _deliver(delivery) {
+    const lease = { _id: delivery._id, leaseOwner: this.workerId, status: 'delivering' };
+    const webhook = await Webhook.findById(delivery.webhookId).lean();
+
+    if (!webhook || !webhook.active) {
+      await WebhookDelivery.updateOne(lease, {
+        $set: { status: 'failed' },
+        $push: this._attemptEntry({ error: 'Webhook was deleted or disabled' }),
+        $unset: { leaseOwner: 1, leaseExpiresAt: 1 }
+      });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const outcome = await this._post(webhook.url, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'fault-tolerant-data-processing-webhooks',
+      'X-Webhook-Id': delivery.payload.id,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Event': delivery.type,
+      'X-Webhook-Signature': this.sign(webhook.secret, Math.floor(started / 1000), body)
+    });
+    const attempt = { ...outcome, durationMs: Date.now() - started };
+    const attempts = delivery.attempts + 1;
+    const succeeded = outcome.statusCode >= 200 && outcome.statusCode < 300;
+
+    let $set;
+    if (succeeded) {
+      $set = { status: 'succeeded', attempts, deliveredAt: new Date() };
+    } else if (attempts >= this.maxAttempts) {
+      $set = { status: 'failed', attempts };
+    } else {
+      $set = { status: 'pending', attempts, nextAttemptAt: new Date(Date.now() + this._retryDelay(attempts)) };
+    }
+
+    // Skipped if the lease ran out and another sender took the delivery over
+    await WebhookDelivery.updateOne(lease, {
+      $set,
+      $push: this._attemptEntry(attempt),
+      $unset: { leaseOwner: 1, leaseExpiresAt: 1 }
+    });
+  }
+
+  /**
+   * POST a body; resolves with { statusCode } or { error }, never rejects
+   */
+  _post(url, body, headers) {
+    return new Promise(resolve => {
+      let settled = false;
+      const finish = (outcome) => {
+        if (settled) return;
+        settled = true;
+        resolve({ statusCode: null, error: null, ...outcome });
+      };
+
+      let request;
+      try {
+        const client = new URL(url).protocol === 'https:' ? https : http;
+        request = client.request(url, {
+          method: 'POST',
+          headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+          timeout: WEBHOOK_TIMEOUT_MS
+        }, (response) => {
+          // The response body isn't needed
+          response.resume();
+          response.on('end', () => finish({ statusCode: response.statusCode }));
+          response.on('error', error => finish({ statusCode: response.statusCode, error: error.message }));
+        });
+      } catch (error) {
+        finish({ error: error.message });
+        return;
+      }
+
+      request.on('timeout', () => request.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT_MS}ms`)));
+      request.on('error', error => finish({ error: error.message }));
+      request.end(body);
+    });
+  }
+
+  /**
+   * Delay before the next attempt, with up to 10% jitter so retries from
+   * many deliveries don't line up
+   */
+  _retryDelay(attempts) {
+    const delay = Math.min(WEBHOOK_RETRY_MAX_MS, WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1));
+    return Math.floor(delay * (1 + Math.random() * 0.1));
+  }
+
+  _attemptEntry(attempt) {
+    return {
+      attemptLog: {
+        $each: [{ at: new Date(), statusCode: null, error: null, ...attempt }],
+        $slice: -ATTEMPT_LOG_LIMIT
+      }
+    };
+  }
+}
+
+module.exports = new WebhookService();
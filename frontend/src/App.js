@@ -13,8 +13,13 @@ function App() {
       amount: '1200',
       timestamp: '2024/01/01'
     }, null, 2),
-    simulateFailure: false
+    fault: ''
   });
+  // Sent as X-API-Key; ingestion is tied to the key's source
+  const [apiKey, setApiKey] = useState('');
+  // Sent as X-Admin-Key; needed for faults, reviews, retries and downloads
+  const [adminKey, setAdminKey] = useState('');
+  const [faultPoints, setFaultPoints] = useState([]);
   const [submitResult, setSubmitResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [rawEvents, setRawEvents] = useState([]);
@@ -26,8 +31,41 @@ function App() {
     source: '',
     client_id: '',
     startDate: '',
-    endDate: ''
+    endDate: '',
+    compareTo: ''
   });
+  const [importForm, setImportForm] = useState({
+    source: 'client_A',
+    delimiter: ',',
+    mapping: 'columns'
+  });
+  const [importFile, setImportFile] = useState(null);
+  const [columnMap, setColumnMap] = useState({});
+  const [importPreview, setImportPreview] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  // Injection points for the failure picker; only admins can inject faults
+  useEffect(() => {
+    if (!adminKey) {
+      setFaultPoints([]);
+      return undefined;
+    }
+    // Answers for a key that has since been edited are ignored
+    let current = true;
+    axios.get(`${API_BASE_URL}/faults`, { headers: { 'X-Admin-Key': adminKey } })
+      .then(response => {
+        if (current) setFaultPoints(response.data.data || []);
+      })
+      .catch(() => {
+        // Wrong key, or fault injection is turned off on the server
+        if (current) setFaultPoints([]);
+      });
+    return () => {
+      current = false;
+    };
+  }, [adminKey]);
 
   // Fetch data on component mount and when filters change
   useEffect(() => {
@@ -37,11 +75,32 @@ function App() {
     fetchStats();
   }, [filters]);
 
+  const rawEventParams = () => {
+    const params = {};
+    if (filters.status) params.status = filters.status;
+    if (filters.source) params.source = filters.source;
+    return params;
+  };
+
+  const normalizedEventParams = () => {
+    const params = {};
+    if (filters.client_id) params.client_id = filters.client_id;
+    return params;
+  };
+
+  const aggregateParams = () => {
+    const params = {};
+    if (filters.client_id) params.client_id = filters.client_id;
+    if (filters.startDate) params.startDate = filters.startDate;
+    if (filters.endDate) params.endDate = filters.endDate;
+    // Comparisons need both dates
+    if (filters.compareTo && filters.startDate && filters.endDate) params.compareTo = filters.compareTo;
+    return params;
+  };
+
   const fetchRawEvents = async () => {
     try {
-      const params = {};
-      if (filters.status) params.status = filters.status;
-      if (filters.source) params.source = filters.source;
+      const params = rawEventParams();
       
       const response = await axios.get(`${API_BASE_URL}/events/raw`, { params });
       setRawEvents(response.data.data || []);
@@ -52,8 +111,7 @@ function App() {
 
   const fetchNormalizedEvents = async () => {
     try {
-      const params = {};
-      if (filters.client_id) params.client_id = filters.client_id;
+      const params = normalizedEventParams();
       
       const response = await axios.get(`${API_BASE_URL}/events/normalized`, { params });
       setNormalizedEvents(response.data.data || []);
@@ -64,10 +122,7 @@ function App() {
 
   const fetchAggregates = async () => {
     try {
-      const params = {};
-      if (filters.client_id) params.client_id = filters.client_id;
-      if (filters.startDate) params.startDate = filters.startDate;
-      if (filters.endDate) params.endDate = filters.endDate;
+      const params = aggregateParams();
       
       const response = await axios.get(`${API_BASE_URL}/aggregates`, { params });
       setAggregates(response.data.data || []);
@@ -85,6 +140,9 @@ function App() {
     }
   };
 
+  const apiKeyConfig = () => (apiKey ? { headers: { 'X-API-Key': apiKey } } : {});
+  const adminKeyConfig = () => (adminKey ? { headers: { 'X-Admin-Key': adminKey } } : {});
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -103,11 +161,15 @@ function App() {
         return;
       }
 
+      const config = apiKeyConfig();
+      if (formData.fault) {
+        config.headers = { ...config.headers, 'X-Admin-Key': adminKey };
+      }
       const response = await axios.post(`${API_BASE_URL}/events`, {
         source: formData.source,
         payload: payload,
-        simulateFailure: formData.simulateFailure
-      });
+        faults: formData.fault ? [formData.fault] : []
+      }, config);
 
       setSubmitResult(response.data);
       
@@ -128,11 +190,104 @@ function App() {
     }
   };
 
+  const handleReview = async (eventId, decision) => {
+    try {
+      await axios.post(`${API_BASE_URL}/events/${eventId}/review`, { decision }, adminKeyConfig());
+    } catch (error) {
+      console.error('Error reviewing event:', error);
+    }
+    fetchRawEvents();
+    fetchNormalizedEvents();
+    fetchAggregates();
+    fetchStats();
+  };
+
+  const handleRetry = async (eventId) => {
+    try {
+      await axios.post(`${API_BASE_URL}/events/${eventId}/retry`, {}, adminKeyConfig());
+    } catch (error) {
+      console.error('Error retrying event:', error);
+    }
+    fetchRawEvents();
+    fetchNormalizedEvents();
+    fetchAggregates();
+    fetchStats();
+  };
+
+  // Payload field a column maps to; columns not edited keep their own name
+  const mappedField = (column) => (
+    Object.prototype.hasOwnProperty.call(columnMap, column) ? columnMap[column] : column
+  );
+
+  // Mapping for every column of the previewed file
+  const currentColumnMap = () => (
+    importPreview
+      ? Object.fromEntries(importPreview.headers.map(column => [column, mappedField(column)]))
+      : null
+  );
+
+  // Multipart body for the import endpoints
+  const importBody = (file, map) => {
+    const body = new FormData();
+    body.append('file', file);
+    body.append('source', importForm.source);
+    body.append('delimiter', importForm.delimiter);
+    body.append('mapping', importForm.mapping);
+    if (importForm.mapping === 'columns' && map) {
+      body.append('columnMap', JSON.stringify(map));
+    }
+    return body;
+  };
+
+  const handlePreview = async (file = importFile, map = currentColumnMap()) => {
+    if (!file) return;
+    setImportError(null);
+    setImportReport(null);
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/imports/preview`, importBody(file, map), apiKeyConfig());
+      setImportPreview(response.data.data);
+    } catch (error) {
+      setImportPreview(null);
+      setImportError(error.response?.data?.error || error.message || 'Failed to preview file');
+    }
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0] || null;
+    setImportFile(file);
+    setImportPreview(null);
+    setImportReport(null);
+    // Each column starts out as the payload field of the same name
+    setColumnMap({});
+    handlePreview(file, null);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setImportError(null);
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/imports`, importBody(importFile, currentColumnMap()), apiKeyConfig());
+      setImportReport(response.data.data);
+      fetchRawEvents();
+      fetchNormalizedEvents();
+      fetchAggregates();
+      fetchStats();
+    } catch (error) {
+      setImportError(error.response?.data?.error || error.message || 'Failed to import file');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+
   const getStatusBadge = (status) => {
     const badges = {
       normalized: 'badge-success',
       failed: 'badge-error',
       duplicate: 'badge-warning',
+      quarantined: 'badge-warning',
       processing: 'badge-info',
       pending: 'badge-info'
     };
@@ -144,6 +299,59 @@ function App() {
     return new Date(date).toLocaleString();
   };
 
+  // Exports need the admin key, so they are fetched and saved rather than linked
+  const handleDownload = async (dataset, params, format) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/exports/${dataset}`, {
+        ...adminKeyConfig(),
+        params: { ...params, format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${dataset}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading export:', error);
+    }
+  };
+
+  // Download buttons for the current filters
+  const renderDownloads = (dataset, params) => (
+    <div className="download-group">
+      {['csv', 'ndjson'].map((format) => (
+        <button
+          key={format}
+          type="button"
+          className="btn btn-download"
+          onClick={() => handleDownload(dataset, params, format)}
+          disabled={!adminKey}
+          title={adminKey ? undefined : 'Enter the admin key to download'}
+        >
+          Download {format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+
+  const formatDelta = (delta) => {
+    if (!delta || delta.absolute === null) return null;
+    const sign = delta.absolute > 0 ? '+' : '';
+    const percent = delta.percent === null ? '' : ` (${sign}${delta.percent}%)`;
+    const direction = delta.absolute > 0 ? 'delta-up' : (delta.absolute < 0 ? 'delta-down' : '');
+    return <span className={`delta ${direction}`}>{sign}{delta.absolute}{percent}</span>;
+  };
+
+  const formatAttributes = (attributes) => {
+    const entries = Object.entries(attributes || {}).filter(([, value]) => value !== null);
+    if (entries.length === 0) return '-';
+    return entries
+      .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`)
+      .join('; ');
+  };
+
   return (
     <div className="container">
       <div className="header">
@@ -151,6 +359,19 @@ function App() {
         <p>Ingest, normalize, and aggregate unreliable data from multiple clients</p>
       </div>
 
+      {/* Admin key for reviews, retries, downloads and fault injection */}
+      <div className="form-group admin-key">
+        <label>Admin Key</label>
+        <input
+          type="password"
+          value={adminKey}
+          onChange={(e) => {
+            setAdminKey(e.target.value);
+            setFormData({ ...formData, fault: '' });
+          }}
+        />
+      </div>
+
       {/* Navigation Tabs */}
       <div style={{ marginBottom: '20px', display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
         <button
@@ -181,6 +402,13 @@ function App() {
         >
           Aggregates
         </button>
+        <button
+          className={`btn ${activeTab === 'import' ? 'btn-primary' : ''}`}
+          onClick={() => setActiveTab('import')}
+          style={{ background: activeTab === 'import' ? '#667eea' : '#e0e0e0', color: activeTab === 'import' ? 'white' : '#333' }}
+        >
+          Import File
+        </button>
       </div>
 
       {/* Statistics */}
@@ -202,6 +430,24 @@ function App() {
             <h3>{stats.totalDuplicates}</h3>
             <p>Duplicates Detected</p>
           </div>
+          <div className="stat-card">
+            <h3>{stats.totalQuarantined}</h3>
+            <p>Quarantined Events</p>
+          </div>
+          <div className="stat-card">
+            <h3>{stats.totalPending}</h3>
+            <p>Queued Events</p>
+          </div>
+          <div className="stat-card">
+            <h3>{stats.totalTransactionRetries}</h3>
+            <p>Transaction Retries</p>
+          </div>
+          {(stats.quotas || []).map(({ source, quota }) => (
+            <div key={source} className="stat-card" title={`Resets ${formatDate(quota.resetsAt)}`}>
+              <h3>{quota.used} / {quota.events}</h3>
+              <p>{source} {quota.period === 'day' ? 'Daily' : 'Monthly'} Quota</p>
+            </div>
+          ))}
         </div>
       )}
 
@@ -210,6 +456,16 @@ function App() {
         <div className="card">
           <h2>Submit New Event</h2>
           <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label>API Key</label>
+              <input
+                type="password"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value)}
+                placeholder="ck_..."
+              />
+            </div>
+
             <div className="form-group">
               <label>Source (Client ID)</label>
               <input
@@ -231,15 +487,23 @@ function App() {
               />
             </div>
 
-            <div className="checkbox-group">
-              <input
-                type="checkbox"
-                id="simulateFailure"
-                checked={formData.simulateFailure}
-                onChange={(e) => setFormData({ ...formData, simulateFailure: e.target.checked })}
-              />
-              <label htmlFor="simulateFailure">Simulate Database Failure</label>
-            </div>
+            {faultPoints.length > 0 && (
+              <div className="form-group">
+                <label htmlFor="fault">Inject Failure At</label>
+                <select
+                  id="fault"
+                  value={formData.fault}
+                  onChange={(e) => setFormData({ ...formData, fault: e.target.value })}
+                >
+                  <option value="">No failure</option>
+                  {faultPoints.map(point => (
+                    <option key={point.name} value={point.name} title={point.description}>
+                      {point.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
 
             <button type="submit" className="btn btn-primary" disabled={loading}>
               {loading ? 'Submitting...' : 'Submit Event'}
@@ -250,6 +514,9 @@ function App() {
             <div className={`alert ${submitResult.success ? 'alert-success' : 'alert-error'}`}>
               <strong>{submitResult.success ? 'Success!' : 'Error:'}</strong> {submitResult.message || submitResult.error}
               {submitResult.reason && <div>Reason: {submitResult.reason}</div>}
+              {submitResult.warnings && (
+                <div>Warnings: {submitResult.warnings.map(w => w.message).join('; ')}</div>
+              )}
             </div>
           )}
         </div>
@@ -269,6 +536,7 @@ function App() {
               <option value="normalized">Normalized</option>
               <option value="failed">Failed</option>
               <option value="duplicate">Duplicate</option>
+              <option value="quarantined">Quarantined</option>
               <option value="processing">Processing</option>
               <option value="pending">Pending</option>
             </select>
@@ -278,6 +546,7 @@ function App() {
               value={filters.source}
               onChange={(e) => setFilters({ ...filters, source: e.target.value })}
             />
+            {renderDownloads('raw', rawEventParams())}
           </div>
 
           <div className="table-container">
@@ -312,7 +581,29 @@ function App() {
                           {JSON.stringify(event.payload, null, 2)}
                         </pre>
                       </td>
-                      <td>{event.errorMessage || '-'}</td>
+                      <td>
+                        {event.errorMessage || '-'}
+                        {event.attempts > 1 && (
+                          <div style={{ fontSize: '12px', color: '#666' }}>Attempts: {event.attempts}</div>
+                        )}
+                        {event.status === 'failed' && (
+                          <div style={{ marginTop: '8px' }}>
+                            <button className="btn btn-primary" onClick={() => handleRetry(event._id)}>
+                              Retry
+                            </button>
+                          </div>
+                        )}
+                        {event.status === 'quarantined' && (
+                          <div style={{ marginTop: '8px', display: 'flex', gap: '6px' }}>
+                            <button className="btn btn-primary" onClick={() => handleReview(event._id, 'accept')}>
+                              Accept
+                            </button>
+                            <button className="btn" onClick={() => handleReview(event._id, 'reject')}>
+                              Reject
+                            </button>
+                          </div>
+                        )}
+                      </td>
                       <td>{formatDate(event.receivedAt)}</td>
                     </tr>
                   ))
@@ -335,6 +626,7 @@ function App() {
               value={filters.client_id}
               onChange={(e) => setFilters({ ...filters, client_id: e.target.value })}
             />
+            {renderDownloads('normalized', normalizedEventParams())}
           </div>
 
           <div className="table-container">
@@ -345,13 +637,14 @@ function App() {
                   <th>Metric</th>
                   <th>Amount</th>
                   <th>Timestamp</th>
+                  <th>Attributes</th>
                   <th>Processed At</th>
                 </tr>
               </thead>
               <tbody>
                 {normalizedEvents.length === 0 ? (
                   <tr>
-                    <td colSpan="5" style={{ textAlign: 'center', padding: '40px' }}>
+                    <td colSpan="6" style={{ textAlign: 'center', padding: '40px' }}>
                       No normalized events found
                     </td>
                   </tr>
@@ -360,8 +653,12 @@ function App() {
                     <tr key={event._id}>
                       <td>{event.client_id}</td>
                       <td>{event.metric || '-'}</td>
-                      <td>{event.amount !== null ? event.amount : '-'}</td>
+                      <td>
+                        {event.amount !== null ? event.amount : '-'}
+                        {event.amount !== null && event.currency ? ` ${event.currency}` : ''}
+                      </td>
                       <td>{formatDate(event.timestamp)}</td>
+                      <td>{formatAttributes(event.attributes)}</td>
                       <td>{formatDate(event.processedAt)}</td>
                     </tr>
                   ))
@@ -396,6 +693,17 @@ function App() {
               value={filters.endDate}
               onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
             />
+            <select
+              value={filters.compareTo}
+              disabled={!filters.startDate || !filters.endDate}
+              title={!filters.startDate || !filters.endDate ? 'Pick a start and end date to compare' : ''}
+              onChange={(e) => setFilters({ ...filters, compareTo: e.target.value })}
+            >
+              <option value="">No comparison</option>
+              <option value="previous">Compare to previous period</option>
+              <option value="lastYear">Compare to same period last year</option>
+            </select>
+            {renderDownloads('aggregates', aggregateParams())}
           </div>
 
           {aggregates.length === 0 ? (
@@ -406,15 +714,24 @@ function App() {
                 <h3>Group: {agg.group}</h3>
                 <div className="metric">
                   <span className="metric-label">Total Count:</span>
-                  <span className="metric-value">{agg.totals.count}</span>
+                  <span className="metric-value">
+                    {agg.totals.count}
+                    {agg.deltas && formatDelta(agg.deltas.count)}
+                  </span>
                 </div>
                 <div className="metric">
                   <span className="metric-label">Total Amount:</span>
-                  <span className="metric-value">{agg.totals.amount}</span>
+                  <span className="metric-value">
+                    {agg.totals.amount}
+                    {agg.deltas && formatDelta(agg.deltas.total)}
+                  </span>
                 </div>
                 <div className="metric">
                   <span className="metric-label">Average Amount:</span>
-                  <span className="metric-value">{agg.averages.amount}</span>
+                  <span className="metric-value">
+                    {agg.averages.amount}
+                    {agg.deltas && formatDelta(agg.deltas.average)}
+                  </span>
                 </div>
                 <div className="metric">
                   <span className="metric-label">Min Amount:</span>
@@ -424,6 +741,14 @@ function App() {
                   <span className="metric-label">Max Amount:</span>
                   <span className="metric-value">{agg.ranges.amount.max}</span>
                 </div>
+                {agg.comparison && (
+                  <div className="metric">
+                    <span className="metric-label">Compared Period Total:</span>
+                    <span className="metric-value">
+                      {agg.comparison.totals.amount} ({agg.comparison.totals.count} events)
+                    </span>
+                  </div>
+                )}
                 {agg.metrics.length > 0 && (
                   <div className="metric">
                     <span className="metric-label">Unique Metrics:</span>
@@ -435,6 +760,138 @@ function App() {
           )}
         </div>
       )}
+
+      {/* Import File Tab */}
+      {activeTab === 'import' && (
+        <div className="card">
+          <h2>Import File</h2>
+
+          <div className="filter-group">
+            <input
+              type="password"
+              placeholder="API Key"
+              value={apiKey}
+              onChange={(e) => setApiKey(e.target.value)}
+            />
+            <input
+              type="text"
+              placeholder="Source (Client ID)"
+              value={importForm.source}
+              onChange={(e) => setImportForm({ ...importForm, source: e.target.value })}
+            />
+            <select
+              value={importForm.delimiter}
+              onChange={(e) => setImportForm({ ...importForm, delimiter: e.target.value })}
+            >
+              <option value=",">Comma separated</option>
+              <option value=";">Semicolon separated</option>
+              <option value="tab">Tab separated</option>
+              <option value="|">Pipe separated</option>
+            </select>
+            <select
+              value={importForm.mapping}
+              onChange={(e) => setImportForm({ ...importForm, mapping: e.target.value })}
+            >
+              <option value="columns">Map columns below</option>
+              <option value="saved">Use the source's saved mapping</option>
+            </select>
+            <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleImportFile} />
+            <button className="btn" onClick={() => handlePreview()} disabled={!importFile}>
+              Refresh Preview
+            </button>
+          </div>
+
+          {importError && (
+            <div className="alert alert-error">
+              <strong>Error:</strong> {importError}
+            </div>
+          )}
+
+          {importPreview && (
+            <>
+              <p>
+                Showing {importPreview.rows.length} of {importPreview.totalRows} rows.
+                {importForm.mapping === 'columns' && ' Edit the payload field under each column (leave blank to skip it), then refresh the preview.'}
+              </p>
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      {importPreview.headers.map(column => (
+                        <th key={column}>
+                          {column}
+                          {importForm.mapping === 'columns' && (
+                            <input
+                              type="text"
+                              className="column-map-input"
+                              value={mappedField(column)}
+                              onChange={(e) => setColumnMap({ ...columnMap, [column]: e.target.value })}
+                            />
+                          )}
+                        </th>
+                      ))}
+                      <th>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importPreview.rows.map(row => (
+                      <tr key={row.row}>
+                        <td>{row.row}</td>
+                        {importPreview.headers.map((column, index) => (
+                          <td key={column}>{row.values[index]}</td>
+                        ))}
+                        <td>
+                          {row.error ? (
+                            <span className="badge badge-error">{row.error}</span>
+                          ) : (
+                            `${row.normalized.metric ?? '-'} / ${row.normalized.amount ?? '-'} / ${formatDate(row.normalized.timestamp)}`
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <button className="btn btn-primary" onClick={handleImport} disabled={importing} style={{ marginTop: '20px' }}>
+                {importing ? 'Importing...' : `Import ${importPreview.totalRows} Rows`}
+              </button>
+            </>
+          )}
+
+          {importReport && (
+            <div className="table-container">
+              <div className={`alert ${importReport.summary.failed === 0 ? 'alert-success' : 'alert-error'}`}>
+                <strong>Imported {importReport.summary.total} rows:</strong>{' '}
+                {importReport.summary.normalized} normalized, {importReport.summary.duplicates} duplicates,{' '}
+                {importReport.summary.quarantined} quarantined, {importReport.summary.queued} queued,{' '}
+                {importReport.summary.failed} failed
+              </div>
+              {importReport.failedRows.length > 0 && (
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Reason</th>
+                      <th>Error</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importReport.rows.filter(row => row.status === 'failed').map(row => (
+                      <tr key={row.row}>
+                        <td>{row.row}</td>
+                        <td><span className="badge badge-error">{row.reason}</span></td>
+                        <td>{row.error}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }